@@ -8,20 +8,71 @@
 export interface Signal<T = any> {
   (): T;
   (value: T | ((prev: T) => T)): T;
+  /** Reads the value without subscribing the current effect. */
+  peek(): T;
+  /** Sets the value from the current one. */
+  update(fn: (prev: T) => T): T;
+  /** Calls `cb` now and on every change; returns an unsubscribe function. */
+  subscribe(cb: (value: T) => void): () => void;
 }
 
 export interface ComputedSignal<T = any> {
   (): T;
+  peek(): T;
+  subscribe(cb: (value: T) => void): () => void;
+}
+
+export interface SignalOptions<T = any> {
+  /** Equality check deciding whether a write notifies; `false` always notifies. */
+  equals?: ((a: T, b: T) => boolean) | false;
 }
 
 export interface EffectCleanup {
   (): void;
 }
 
-export declare function signal<T>(initialValue: T): Signal<T>;
-export declare function computed<T>(fn: () => T): ComputedSignal<T>;
+export declare function signal<T>(
+  initialValue: T,
+  options?: SignalOptions<T>
+): Signal<T>;
+export declare function computed<T>(
+  fn: () => T,
+  options?: SignalOptions<T>
+): ComputedSignal<T>;
+export declare function isSignal(
+  value: any
+): value is Signal<any> | ComputedSignal<any>;
+export declare function untrack<T>(fn: () => T): T;
 export declare function effect(fn: () => void | EffectCleanup): EffectCleanup;
 export declare function batch<T>(fn: () => T): T;
+export declare function createRoot<T>(fn: (dispose: () => void) => T): T;
+export declare function onCleanup(fn: () => void): void;
+
+/** An ownership scope: a component setup, a root or an effect. */
+export interface Owner {
+  host?: HTMLElement;
+}
+
+export declare function getOwner(): Owner | null;
+export declare function runWithOwner<T>(owner: Owner | null, fn: () => T): T;
+export declare function setScheduler(mode: "sync" | "microtask"): void;
+export declare function nextTick(): Promise<void>;
+
+// ========== STORES ==========
+
+export type StoreUpdate<T> = Partial<T> | ((state: T) => Partial<T> | void);
+export type SetStore<T> = (update: StoreUpdate<T>) => void;
+
+export declare function reactive<T extends object>(value: T): T;
+export declare function store<T extends object>(
+  initialValue: T
+): [state: T, setState: SetStore<T>];
+export declare function produce<T>(recipe: (state: T) => void): (state: T) => void;
+export declare function reconcile<T>(
+  value: T,
+  options?: { key?: string }
+): (state: T) => void;
+export declare function unwrap<T>(value: T): T;
 
 // ========== TEMPLATING ==========
 
@@ -33,27 +84,141 @@ export type TemplateValue =
   | undefined
   | Node
   | Node[]
+  | EachBlock
+  | ShowBlock
   | Signal<any>
   | ComputedSignal<any>
   | (() => any);
 
 export type EventHandler<E extends Event = Event> = (event: E) => void;
 
+/** An event binding value: a handler, a handler with listener options, or a signal holding either. */
+export type EventBinding<E extends Event = Event> =
+  | EventHandler<E>
+  | [EventHandler<E>, AddEventListenerOptions?]
+  | Signal<EventHandler<E> | [EventHandler<E>, AddEventListenerOptions?]>;
+
 export declare function html(
   strings: TemplateStringsArray,
   ...values: TemplateValue[]
 ): Node[];
 
+/**
+ * Renders a template to an HTML string without a DOM. Esor components are
+ * set up and written with a declarative shadow root.
+ */
+export declare function renderToString(value: TemplateValue | Node[]): string;
+
+/** A keyed list created by `each()`, interpolated as a template child. */
+export interface EachBlock {
+  readonly _isEach: true;
+}
+
+export declare function each<T>(
+  items: T[] | (() => T[]),
+  key: (item: T, index: number) => any,
+  render: (item: ComputedSignal<T>, index: ComputedSignal<number>) => any
+): EachBlock;
+export declare function each<T>(
+  items: T[] | (() => T[]),
+  render: (item: ComputedSignal<T>, index: ComputedSignal<number>) => any
+): EachBlock;
+
+/** A value or a getter (such as a signal) returning it. */
+export type MaybeGetter<T> = T | (() => T);
+
+/** A `class` binding: names, names toggled by (reactive) flags, or a list of them. */
+export type ClassValue = MaybeGetter<
+  | string
+  | null
+  | undefined
+  | false
+  | Record<string, MaybeGetter<unknown>>
+  | ClassValue[]
+>;
+
+/** A `style` binding: CSS text, or (reactive) properties, custom ones included. */
+export type StyleValue = MaybeGetter<
+  | string
+  | null
+  | undefined
+  | Record<string, MaybeGetter<string | number | null | undefined | false>>
+  | StyleValue[]
+>;
+
+/** Content toggled by `show()`, interpolated as a template child. */
+export interface ShowBlock {
+  readonly _isShow: true;
+}
+
+/** Branches given as functions receive an accessor of the condition's value. */
+export declare function when<T>(
+  condition: MaybeGetter<T>,
+  then: TemplateValue | ((value: () => T) => TemplateValue),
+  otherwise?: TemplateValue | ((value: () => T) => TemplateValue)
+): () => TemplateValue;
+
+export declare function show(
+  condition: MaybeGetter<any>,
+  content: TemplateValue | (() => TemplateValue)
+): ShowBlock;
+
+export declare function match<T extends PropertyKey>(
+  value: MaybeGetter<T>,
+  cases: Partial<Record<T, TemplateValue | ((value: T) => TemplateValue)>>,
+  fallback?: TemplateValue | ((value: T) => TemplateValue)
+): () => TemplateValue;
+
 // ========== COMPONENTS ==========
 
 export interface ComponentProps {
-  [key: string]: Signal<any>;
+  [key: string]: any;
 }
 
 export type ComponentSetup = (props: ComponentProps) => Node[] | (() => Node[]);
 
+export interface PropOptions<T = any> {
+  /** Constructor used to coerce the attribute (`Number`, `Boolean`...). */
+  type?: ((value: string) => T) | ObjectConstructor | ArrayConstructor;
+  /** Value used when the attribute is missing; functions act as factories. */
+  default?: T | (() => T);
+  /** Write changes made through `props` back to the attribute. */
+  reflect?: boolean;
+  /** Warn when the prop is missing. */
+  required?: boolean;
+  /** Attribute name, defaults to the kebab-case prop name. */
+  attribute?: string;
+}
+
+export type PropsDeclaration =
+  | string[]
+  | Record<string, PropOptions | PropOptions["type"]>;
+
+/** Styles created by `css`, shared by every instance of a component. */
+export interface CSSResult {
+  readonly _isCss: true;
+  readonly cssText: string;
+}
+
+export type ComponentStyles = CSSResult | string | ComponentStyles[];
+
+export declare function css(
+  strings: TemplateStringsArray,
+  ...values: (CSSResult | string | number)[]
+): CSSResult;
+
 export interface ComponentOptions {
+  /** `false` renders into the host (light DOM), without a shadow root. */
+  shadow?: boolean;
+  /** Lets the component take part in forms, see `useFormInternals`. */
+  formAssociated?: boolean;
   shadowMode?: "open" | "closed";
+  /** Copy (`true`) or adopt and follow (`"adopt"`) the document head styles. */
+  globalStyles?: boolean | "adopt";
+  /** Styles adopted by the shadow root, as shared constructable stylesheets. */
+  styles?: ComponentStyles;
+  /** Props whose attributes are observed and kept reactive in `props`. */
+  props?: PropsDeclaration;
 }
 
 export declare function component(
@@ -71,6 +236,14 @@ export declare function onUpdate(fn: () => void): void;
 export declare function onDestroy(fn: () => void): void;
 export declare function onEffect(fn: () => void | (() => void)): () => void;
 export declare function getCurrentContext(): HTMLElement | null;
+export declare function onFormReset(fn: () => void): void;
+export declare function onFormDisabled(fn: (disabled: boolean) => void): void;
+export declare function onFormStateRestore(
+  fn: (
+    state: File | string | FormData | null,
+    mode: "restore" | "autocomplete"
+  ) => void
+): void;
 
 // ========== UTILITIES ==========
 
@@ -80,12 +253,70 @@ export interface Ref<T = HTMLElement> {
 
 export declare function ref<T = HTMLElement>(initialValue?: T | null): Ref<T>;
 
+/** The nodes assigned to a slot of the current component. */
+export declare function slotted(name?: string): ComputedSignal<Node[]>;
+/** The slots of the current component, by name (`default` for the default slot). */
+export declare function useSlots(): Record<string, ComputedSignal<Node[]>>;
+
+export declare function provide<T>(key: unknown, value: T): void;
+export declare function inject<T>(key: unknown, fallback?: T): T;
+
 export declare function emit(
   name: string,
   detail?: any,
   target?: EventTarget | null
 ): CustomEvent;
 
+/** A form field: a signal holding its value, bindable with `model`. */
+export interface FormField<T> extends Signal<T> {
+  initial: Signal<T>;
+  touched: Signal<boolean>;
+  dirty: ComputedSignal<boolean>;
+  error: ComputedSignal<string | null>;
+}
+
+/** Returns an error message when the value is invalid. */
+export type FormRule<T, V> = (value: T, values: V) => unknown;
+
+export interface Form<V extends Record<string, any>> {
+  fields: { [K in keyof V]: FormField<V[K]> };
+  values: ComputedSignal<V>;
+  errors: ComputedSignal<Partial<Record<keyof V, string>>>;
+  valid: ComputedSignal<boolean>;
+  dirty: ComputedSignal<boolean>;
+  touched: ComputedSignal<boolean>;
+  reset(values?: Partial<V>): void;
+  submit(handler: (values: V, event?: Event) => any): (event?: Event) => any;
+}
+
+export interface FormInternals {
+  internals: ElementInternals;
+  readonly form: HTMLFormElement | null;
+  /** Follows the `disabled` attribute of the element and its fieldsets. */
+  disabled: ComputedSignal<boolean>;
+  setValue(
+    value: File | string | FormData | null,
+    state?: File | string | FormData | null
+  ): void;
+  setValidity(
+    flags?: ValidityStateFlags,
+    message?: string,
+    anchor?: HTMLElement
+  ): void;
+  /** Toggles a custom state, matched by `:state(name)`. */
+  setState(name: string, enabled: boolean): void;
+  checkValidity(): boolean;
+  reportValidity(): boolean;
+}
+
+/** Form helpers for components declared with `formAssociated: true`. */
+export declare function useFormInternals(): FormInternals;
+
+export declare function form<V extends Record<string, any>>(
+  initialValues: V,
+  rules?: { [K in keyof V]?: FormRule<V[K], V> | FormRule<V[K], V>[] }
+): Form<V>;
+
 // ========== JSX SUPPORT ==========
 
 declare global {
@@ -94,24 +325,25 @@ declare global {
       [elemName: string]: {
         [key: string]: any;
         // Event handlers
-        onclick?: EventHandler<MouseEvent>;
-        onchange?: EventHandler<Event>;
-        oninput?: EventHandler<InputEvent>;
-        onsubmit?: EventHandler<SubmitEvent>;
-        onkeydown?: EventHandler<KeyboardEvent>;
-        onkeyup?: EventHandler<KeyboardEvent>;
-        onfocus?: EventHandler<FocusEvent>;
-        onblur?: EventHandler<FocusEvent>;
+        onclick?: EventBinding<MouseEvent>;
+        onchange?: EventBinding<Event>;
+        oninput?: EventBinding<InputEvent>;
+        onsubmit?: EventBinding<SubmitEvent>;
+        onkeydown?: EventBinding<KeyboardEvent>;
+        onkeyup?: EventBinding<KeyboardEvent>;
+        onfocus?: EventBinding<FocusEvent>;
+        onblur?: EventBinding<FocusEvent>;
 
         // Common attributes with signal support
-        class?: string | Signal<string>;
+        class?: ClassValue;
         id?: string | Signal<string>;
-        style?: string | Record<string, string | Signal<string>>;
+        style?: StyleValue;
 
         // Form elements
         value?: string | number | Signal<string | number>;
         checked?: boolean | Signal<boolean>;
         disabled?: boolean | Signal<boolean>;
+        model?: Signal<any>;
 
         // Ref support
         ref?: Ref<HTMLElement> | ((el: HTMLElement) => void);
@@ -154,10 +386,28 @@ declare global {
 
 declare const _default: {
   signal: typeof signal;
+  isSignal: typeof isSignal;
   computed: typeof computed;
   effect: typeof effect;
   batch: typeof batch;
+  untrack: typeof untrack;
+  createRoot: typeof createRoot;
+  onCleanup: typeof onCleanup;
+  getOwner: typeof getOwner;
+  runWithOwner: typeof runWithOwner;
+  setScheduler: typeof setScheduler;
+  store: typeof store;
+  reactive: typeof reactive;
+  produce: typeof produce;
+  reconcile: typeof reconcile;
+  unwrap: typeof unwrap;
+  nextTick: typeof nextTick;
   html: typeof html;
+  renderToString: typeof renderToString;
+  each: typeof each;
+  when: typeof when;
+  show: typeof show;
+  match: typeof match;
   component: typeof component;
   beforeMount: typeof beforeMount;
   onMount: typeof onMount;
@@ -166,8 +416,18 @@ declare const _default: {
   onDestroy: typeof onDestroy;
   onEffect: typeof onEffect;
   getCurrentContext: typeof getCurrentContext;
+  onFormReset: typeof onFormReset;
+  onFormDisabled: typeof onFormDisabled;
+  onFormStateRestore: typeof onFormStateRestore;
+  useFormInternals: typeof useFormInternals;
   ref: typeof ref;
   emit: typeof emit;
+  provide: typeof provide;
+  inject: typeof inject;
+  slotted: typeof slotted;
+  useSlots: typeof useSlots;
+  form: typeof form;
+  css: typeof css;
 };
 
 export default _default;
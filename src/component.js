@@ -1,9 +1,28 @@
 import { renderTemplate } from "./template/render.js";
+import { createRoot, getOwner, signal } from "./hooks/reactivity.js";
 import { createLifecycle } from "./lifecycle.js";
-import { initializeProps } from "./props.js";
-import { s } from "./utils/dom.js";
+import {
+    definePropAccessors,
+    initializeProps,
+    normalizeProps,
+    updateProp,
+    warnMissingProps,
+} from "./props.js";
+import {
+    applyRootStyles,
+    applyStyles,
+    normalizeStyles,
+    releaseStyles,
+} from "./utils/styles.js";
+import {
+    distributeSlots,
+    groupChildren,
+    refreshSlots,
+} from "./hooks/slots.js";
 
 const REGEX_TAG_NAME = /^[a-z][a-z0-9]*-[a-z0-9-]*$/;
+// Setup and options by tag name, also kept without a DOM for `renderToString`
+const definitions = new Map();
 
 /**
  * A base class for creating custom elements that provides an API for working
@@ -14,58 +33,156 @@ const REGEX_TAG_NAME = /^[a-z][a-z0-9]*-[a-z0-9-]*$/;
  *     argument and should return a value that can be rendered into the
  *     component's shadow DOM.
  * @param {object} [options] An optional object with options for the component.
- *     Currently only the `mode` option is supported, which can be either
- *     `"open"` or `"closed"` and determines whether the component's shadow DOM
- *     is open or closed.
+ *     `shadowMode` can be either `"open"` or `"closed"` and determines whether
+ *     the component's shadow DOM is open or closed. `props` declares the
+ *     reactive props, see `normalizeProps`. `styles` (`css` results or
+ *     strings) and `globalStyles` style the shadow DOM, see `applyStyles`.
+ *     `shadow: false` renders into the host itself (light DOM) instead: the
+ *     children written by the page are moved into the template's `<slot>`
+ *     elements, and `styles` are added to the document.
  *
  * @returns {class} A class that extends `HTMLElement` and provides the
  *     following additional properties and methods:
  *
- *     - `#shadow`: The component's shadow DOM.
+ *     - `#root`: The component's shadow DOM, or the component itself in light
+ *         DOM mode.
  *     - `props`: An object containing the component's properties.
  *     - `_cleanup`: An array of functions that are called when the component is
  *         destroyed.
+ *     - `_dispose`: Disposes every effect created during setup and rendering.
  *     - `_isMounted`: A boolean indicating whether the component is currently
  *         mounted.
- *     - `constructor()`: Initializes the component and calls the `setup`
- *         function if it is provided.
+ *     - One accessor per declared prop, reading and writing `props`.
+ *     - `propDefinitions` (static): The declared props, see `normalizeProps`.
+ *     - `constructor()`: Initializes the component's properties.
  *     - `connectedCallback()`: Called when the component is inserted into the
- *         DOM. It calls the `mount` lifecycle hook if the component is already
- *         mounted.
+ *         DOM. Unless it is only being moved, it calls the `setup` function,
+ *         renders its template and calls the `beforeMount` and `mount`
+ *         lifecycle hooks, so they run once per mount.
  *     - `disconnectedCallback()`: Called when the component is removed from the
- *         DOM. It calls the `destroy` lifecycle hook and then calls the
- *         functions in the `_cleanup` array.
+ *         DOM. A microtask later, if the component was not re-inserted in the
+ *         meantime (a move), it calls the functions in the `_cleanup` array,
+ *         disposes the component's effects, clears its shadow DOM (in light
+ *         DOM mode, restores its original children) and calls
+ *         the `destroy` lifecycle hook. Inserting it again mounts it anew.
+ *     - `attributeChangedCallback()`: Called when a declared prop's attribute
+ *         changes. It updates the matching entry of `props`.
+ *     - `formResetCallback()`, `formDisabledCallback()` and
+ *         `formStateRestoreCallback()`: Called on form-associated components
+ *         (the `formAssociated` option), they run the `formReset`,
+ *         `formDisabled` and `formStateRestore` lifecycle hooks.
+ *     - `_internals`: The `ElementInternals` of form-associated components.
  */
-const BaseComponent = (setup, options = {}) =>
-    class extends HTMLElement {
-        #shadow = this.attachShadow({ mode: options.shadowMode || "open" });
+const BaseComponent = (setup, options = {}) => {
+    const propDefs = normalizeProps(options.props);
+    const styles = normalizeStyles(options.styles);
+
+    const Component = class extends HTMLElement {
+        static observedAttributes = [...propDefs.keys()];
+        static propDefinitions = propDefs;
+        static formAssociated = !!options.formAssociated;
+
+        // The shadow root, or the host itself in light DOM mode
+        #root =
+            options.shadow === false
+                ? this
+                : this.attachShadow({ mode: options.shadowMode || "open" });
         props = Object.create(null);
         _cleanup = [];
+        _isMounted = false;
+        _pendingTeardown = false;
 
         constructor() {
             super();
-            this.#initializeComponent();
-            this.runHook("beforeMount");
+            initializeProps(this, propDefs);
+            if (options.formAssociated) {
+                this._internals = this.attachInternals();
+                this._formDisabled = signal(false);
+            }
+            this.#root !== this &&
+                this.#root.addEventListener("slotchange", () =>
+                    refreshSlots(this)
+                );
         }
 
-        #initializeComponent() {
+        #mount() {
             createLifecycle(this);
-            initializeProps(this);
-            options.globalStyles &&
-                s().forEach((s) => this.#shadow.appendChild(s.cloneNode(true)));
-            const template = setup?.call(this, this.props);
-            renderTemplate(this.#shadow, template);
+            warnMissingProps(this, propDefs);
+            const light = this.#root === this;
+            // In light DOM, the template is rendered aside, then the children
+            // written by the page are moved into its slots
+            const target = light
+                ? document.createDocumentFragment()
+                : this.#root;
+            if (light) {
+                this._authored = [...this.childNodes];
+                applyRootStyles(this, styles);
+            } else applyStyles(this.#root, styles, options.globalStyles);
+            createRoot((dispose) => {
+                getOwner().host = this;
+                this._dispose = dispose;
+                const template = setup?.call(this, this.props);
+                this.runHook("beforeMount", true);
+                renderTemplate(target, template);
+            });
+            if (light) {
+                distributeSlots(target, this._authored);
+                this.append(target);
+            }
+            this._isMounted = true;
+            this.runHook("mount");
+        }
+
+        #unmount() {
+            this._cleanup.forEach((c) => c());
+            this._cleanup = [];
+            this._dispose();
+            this._isMounted = false;
+            this._slots = null;
+            if (this.#root === this) {
+                // Give the page its children back, out of the slots, with
+                // what its template ranges render now
+                this.replaceChildren(...groupChildren(this._authored).flat());
+                this._authored = null;
+            } else {
+                this.#root.replaceChildren();
+                releaseStyles(this.#root);
+            }
+            this.runHook("destroy", true);
         }
 
         connectedCallback() {
-            this.runHook("mount");
+            // Reconnected before the teardown ran: the element was moved
+            if (this._pendingTeardown) this._pendingTeardown = false;
+            else if (!this._isMounted) this.#mount();
         }
         disconnectedCallback() {
-            this._cleanup.forEach((c) => c());
-            this._cleanup = [];
-            this.runHook("destroy");
+            // Moving an element disconnects and reconnects it synchronously,
+            // so wait a microtask to tell a move from a removal
+            this._pendingTeardown = true;
+            queueMicrotask(() => {
+                if (!this._pendingTeardown) return;
+                this._pendingTeardown = false;
+                this._isMounted && this.#unmount();
+            });
+        }
+        attributeChangedCallback(name, oldValue, newValue) {
+            oldValue !== newValue && updateProp(this, propDefs, name, newValue);
+        }
+        formResetCallback() {
+            this.runHook?.("formReset", true);
+        }
+        formDisabledCallback(disabled) {
+            this._formDisabled?.(disabled);
+            this.runHook?.("formDisabled", true, [disabled]);
+        }
+        formStateRestoreCallback(state, mode) {
+            this.runHook?.("formStateRestore", true, [state, mode]);
         }
     };
+    definePropAccessors(Component.prototype, propDefs);
+    return Component;
+};
 
 /**
  * Registers a custom element with the specified tag name and setup function.
@@ -76,14 +193,34 @@ const BaseComponent = (setup, options = {}) =>
  *     It receives the component's properties and should return a template to be
  *     rendered into the component's shadow DOM.
  * @param {object} [options] Optional configuration for the component.
- *     Supports the `mode` option, which can be `"open"` or `"closed"`,
- *     determining the accessibility of the component's shadow DOM.
+ *     Supports the `shadowMode` option, which can be `"open"` or `"closed"`,
+ *     determining the accessibility of the component's shadow DOM, the
+ *     `props` option, a list (or object keyed by name) of props whose
+ *     attributes are observed and kept in sync with `props`, the `styles`
+ *     option, `css` results shared by every instance, and the `globalStyles`
+ *     option, `true` to copy the document styles into the shadow DOM or
+ *     `"adopt"` to adopt them and follow their changes. `shadow: false`
+ *     renders the component in light DOM, without a shadow root, and
+ *     `formAssociated: true` lets it take part in forms, see
+ *     `useFormInternals`.
+ *
+ * Without `customElements` (on the server), the component is only recorded,
+ * so `renderToString` can render it.
  *
  * @returns {undefined}
  */
 export const component = (tagName, setup, options = {}) => {
+    if (!REGEX_TAG_NAME.test(tagName)) return;
+    definitions.has(tagName) || definitions.set(tagName, { setup, options });
     typeof customElements !== "undefined" &&
-        REGEX_TAG_NAME.test(tagName) &&
         !customElements.get(tagName) &&
         customElements.define(tagName, BaseComponent(setup, options));
 };
+
+/**
+ * Returns the setup and options a tag name was registered with.
+ *
+ * @param {string} tagName - The tag name, in lowercase.
+ * @returns {{setup?: Function, options: object}|undefined} The definition.
+ */
+export const getDefinition = (tagName) => definitions.get(tagName);
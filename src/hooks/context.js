@@ -0,0 +1,83 @@
+import { getOwner, onCleanup } from "./reactivity.js";
+
+const CONTEXT_REQUEST = "context-request";
+// The component that dispatched each request made by `inject`
+const requesters = new WeakMap();
+
+/**
+ * Returns the component being set up, or throws like lifecycle hooks do.
+ *
+ * @param {string} name - The calling function, for the error message.
+ * @returns {HTMLElement} The host component.
+ */
+export const getHost = (name) => {
+    const h = getOwner()?.host;
+    if (!h)
+        throw new Error(`[Esor] ${name}() called outside of a component setup`);
+    return h;
+};
+
+/**
+ * Creates a `context-request` event, following the Web Components Community
+ * Group context protocol so that non-Esor providers and consumers interoperate.
+ *
+ * @param {any} context - The context key.
+ * @param {Function} callback - Receives the provided value.
+ * @returns {Event} The event.
+ */
+const createContextRequest = (context, callback) =>
+    Object.assign(
+        new Event(CONTEXT_REQUEST, { bubbles: true, composed: true }),
+        { context, callback, subscribe: false }
+    );
+
+/**
+ * Provides a value to the descendants of the current component, including
+ * the ones rendered in its shadow DOM and the elements slotted into it.
+ *
+ * The component answers `context-request` events for the keys it provides,
+ * so any element implementing the context protocol can read the value too.
+ * Provide signals or stores to share reactive state.
+ *
+ * @param {any} key - The context key, usually a symbol.
+ * @param {any} value - The value to provide.
+ * @throws {Error} If called outside of a component's setup phase.
+ */
+export const provide = (key, value) => {
+    const h = getHost("provide");
+    if (!h._provides) {
+        const provides = (h._provides = new Map());
+        const onRequest = (e) => {
+            // Requests from the host itself look for an ancestor provider.
+            // `composedPath()` cannot tell: it hides the nodes of a closed
+            // shadow root from the host's own listeners
+            if (requesters.get(e) === h || !provides.has(e.context)) return;
+            e.stopPropagation();
+            e.callback(provides.get(e.context), () => {});
+        };
+        h.addEventListener(CONTEXT_REQUEST, onRequest);
+        onCleanup(() => {
+            h.removeEventListener(CONTEXT_REQUEST, onRequest);
+            h._provides = null;
+        });
+    }
+    h._provides.set(key, value);
+};
+
+/**
+ * Reads a value provided by the nearest ancestor component, walking up the
+ * composed tree through shadow roots and slots.
+ *
+ * @param {any} key - The context key passed to `provide`.
+ * @param {any} [fallback] - Returned when no ancestor provides the key.
+ * @returns {any} The provided value or the fallback.
+ * @throws {Error} If called outside of a component's setup phase.
+ */
+export const inject = (key, fallback) => {
+    const h = getHost("inject");
+    let value = fallback;
+    const request = createContextRequest(key, (v) => (value = v));
+    requesters.set(request, h);
+    h.dispatchEvent(request);
+    return value;
+};
@@ -0,0 +1,223 @@
+import { batch, computed, signal, untrack } from "./reactivity.js";
+import { getHost } from "./context.js";
+
+/**
+ * Compares field values; arrays (checkbox groups, multiple selects) are
+ * compared item by item.
+ *
+ * @param {any} a - A value.
+ * @param {any} b - Another value.
+ * @returns {boolean}
+ */
+const isEqual = (a, b) =>
+    Object.is(a, b) ||
+    (Array.isArray(a) &&
+        Array.isArray(b) &&
+        a.length === b.length &&
+        a.every((v, i) => Object.is(v, b[i])));
+
+/**
+ * Runs the rules of a field and returns the first error message.
+ *
+ * @param {Function|Function[]|undefined} rules - The rules of the field.
+ * @param {any} value - The field value.
+ * @param {object} values - The values of all the fields.
+ * @returns {string|null} The error message, `null` when valid.
+ */
+const validate = (rules, value, values) => {
+    const list = Array.isArray(rules) ? rules : rules ? [rules] : [];
+    for (let i = 0; i < list.length; i++) {
+        const result = list[i](value, values);
+        if (typeof result === "string") return result;
+    }
+    return null;
+};
+
+/**
+ * Creates a field: a signal holding its value, which can be bound with
+ * `model`, extended with its `initial` and `touched` signals and its `dirty`
+ * and `error` computeds.
+ *
+ * @param {any} value - The initial value.
+ * @param {Function} getError - Returns the error message of a value.
+ * @returns {Function} The field.
+ */
+const createField = (value, getError) => {
+    const field = signal(value);
+    const initial = signal(value);
+    return Object.assign(field, {
+        initial,
+        touched: signal(false),
+        dirty: computed(() => !isEqual(field(), initial())),
+        error: computed(() => getError(field())),
+    });
+};
+
+/**
+ * Groups form fields with their validation rules, and tracks which ones
+ * were edited (dirty) or visited (touched).
+ *
+ * Every field is a signal, so it can be bound with `model`, and also exposes
+ * `touched()` (set when its control loses focus), `dirty()` (whether its
+ * value differs from the initial one) and `error()` (the message returned by
+ * the first failing rule, or `null`).
+ *
+ * A rule receives the field value and the values of all the fields, and
+ * returns an error message (a string) when the value is invalid; any other
+ * result means valid.
+ *
+ * @example
+ * const signup = form(
+ *     { email: "", terms: false },
+ *     {
+ *         email: [
+ *             (v) => !v && "Required",
+ *             (v) => v.includes("@") || "Invalid email",
+ *         ],
+ *         terms: (v) => v || "Accept the terms",
+ *     }
+ * );
+ * html`<form onsubmit=${signup.submit(save)}>
+ *     <input model=${signup.fields.email}>
+ *     ${() => signup.fields.email.touched() && signup.fields.email.error()}
+ * </form>`;
+ *
+ * @param {object} initialValues - The initial value of every field.
+ * @param {object} [rules] - A rule, or an array of rules, by field name.
+ * @returns {object} The form: its `fields`, the `values`, `errors`, `valid`,
+ *     `dirty` and `touched` computeds, `reset(values?)` and
+ *     `submit(handler)`, which returns a submit event handler.
+ */
+const form = (initialValues, rules = {}) => {
+    const names = Object.keys(initialValues);
+    const fields = {};
+    const values = computed(() => {
+        const result = {};
+        for (const name of names) result[name] = fields[name]();
+        return result;
+    });
+    for (const name of names) {
+        fields[name] = createField(initialValues[name], (value) =>
+            validate(rules[name], value, values())
+        );
+    }
+
+    const errors = computed(() => {
+        const result = {};
+        for (const name of names) {
+            const error = fields[name].error();
+            if (error !== null) result[name] = error;
+        }
+        return result;
+    });
+    const valid = computed(() => Object.keys(errors()).length === 0);
+    const some = (key) => computed(() => names.some((n) => fields[n][key]()));
+
+    /**
+     * Restores the fields to their initial values, or sets new ones that
+     * become the initial values, and marks them as untouched.
+     *
+     * @param {object} [next] - The new values, by field name.
+     */
+    const reset = (next) =>
+        batch(() => {
+            for (const name of names) {
+                const field = fields[name];
+                if (next && name in next) field.initial(next[name]);
+                field(untrack(field.initial));
+                field.touched(false);
+            }
+        });
+
+    /**
+     * Creates a submit handler: it prevents the default submission, marks
+     * every field as touched so their errors show, and calls the handler
+     * with the values when the form is valid.
+     *
+     * @param {Function} handler - Receives the values and the event.
+     * @returns {Function} The event handler.
+     */
+    const submit = (handler) => (event) => {
+        event?.preventDefault?.();
+        batch(() => {
+            for (const name of names) fields[name].touched(true);
+        });
+        if (untrack(valid)) return handler(untrack(values), event);
+    };
+
+    return {
+        fields,
+        values,
+        errors,
+        valid,
+        dirty: some("dirty"),
+        touched: some("touched"),
+        reset,
+        submit,
+    };
+};
+
+/**
+ * Adds or removes a custom state, matched by `:state(name)` in CSS.
+ *
+ * @param {CustomStateSet} states - The states of the element.
+ * @param {string} name - The state.
+ * @param {boolean} enabled - Whether the state is set.
+ */
+const toggleState = (states, name, enabled) => {
+    try {
+        enabled ? states.add(name) : states.delete(name);
+    } catch {
+        // Older implementations only accept dashed names, `:--name`
+        enabled ? states.add(`--${name}`) : states.delete(`--${name}`);
+    }
+};
+
+/**
+ * Returns helpers to take part in the forms of the page, for components
+ * declared with the `formAssociated` option: the value they submit, their
+ * validity and their custom states. Combine with the `onFormReset`,
+ * `onFormDisabled` and `onFormStateRestore` hooks.
+ *
+ * @example
+ * const { setValue, setValidity, disabled } = useFormInternals();
+ * effect(() => {
+ *     setValue(value());
+ *     value()
+ *         ? setValidity({})
+ *         : setValidity({ valueMissing: true }, "Required");
+ * });
+ * onFormReset(() => value(""));
+ *
+ * @returns {object} The `internals` of the element, its `form`, a `disabled`
+ *     computed following the `disabled` attribute of the element and its
+ *     fieldsets, and `setValue(value, state?)`, `setValidity(flags, message?,
+ *     anchor?)`, `setState(name, enabled)`, `checkValidity()` and
+ *     `reportValidity()`.
+ * @throws {Error} If called outside of the setup of a form-associated
+ *     component.
+ */
+const useFormInternals = () => {
+    const h = getHost("useFormInternals");
+    const internals = h._internals;
+    if (!internals)
+        throw new Error(
+            "[Esor] useFormInternals() requires the formAssociated option"
+        );
+    return {
+        internals,
+        get form() {
+            return internals.form;
+        },
+        disabled: computed(() => h._formDisabled()),
+        setValue: (value, state) => internals.setFormValue(value, state),
+        setValidity: (flags, message, anchor) =>
+            internals.setValidity(flags, message, anchor),
+        setState: (name, enabled) =>
+            toggleState(internals.states, name, enabled),
+        checkValidity: () => internals.checkValidity(),
+        reportValidity: () => internals.reportValidity(),
+    };
+};
+
+export { form, useFormInternals };
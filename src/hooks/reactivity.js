@@ -1,5 +1,59 @@
+// Node states. A node is CHECK when one of its computed sources may have
+// changed and DIRTY when one of its sources did change.
+const CLEAN = 0;
+const CHECK = 1;
+const DIRTY = 2;
+// Runs of a single effect within a flush before it counts as a cycle
+const MAX_EFFECT_RUNS = 100000;
+const SIGNAL = Symbol("esor.signal");
+
 let currentEffect = null;
+let currentOwner = null;
 let batchDepth = 0;
+let globalVersion = 0;
+let scheduler = "sync";
+let flushing = false;
+let flushQueued = false;
+let flushId = 0;
+const pending = new Set();
+const flushCallbacks = [];
+
+const defaultEquals = (a, b) => a === b;
+
+/**
+ * Resolves the `equals` option of a signal or computed. `false` means values
+ * are never considered equal, so every write notifies.
+ *
+ * @param {object} [options]
+ * @returns {(a: any, b: any) => boolean}
+ */
+const getEquals = (options) =>
+    options?.equals === false ? () => false : options?.equals || defaultEquals;
+
+/**
+ * Adds the `peek` and `subscribe` helpers shared by signals and computeds.
+ *
+ * @param {Function} read - The tracked getter.
+ * @returns {Function} The same getter.
+ */
+const withHelpers = (read) => {
+    read[SIGNAL] = true;
+    read.peek = () => untrack(read);
+    read.subscribe = (cb) =>
+        effect(() => {
+            const value = read();
+            untrack(() => cb(value));
+        });
+    return read;
+};
+
+/**
+ * Whether a value is a signal or a computed, as opposed to a plain function.
+ *
+ * @param {any} v - The value to check.
+ * @returns {boolean}
+ */
+const isSignal = (v) => typeof v === "function" && v[SIGNAL] === true;
 
 /**
  * Creates a reactive signal that notifies its subscribers when its value changes.
@@ -9,67 +63,442 @@ let batchDepth = 0;
  * Subscribers can be added either by calling the signal with no arguments (which will add the
  * current effect to the subscribers) or by calling the signal with a new value.
  *
+ * The returned function also exposes:
+ * - `peek()`: reads the value without subscribing.
+ * - `update(fn)`: sets the value to `fn(currentValue)`.
+ * - `subscribe(cb)`: calls `cb` with the value now and on every change, and
+ *   returns a function that unsubscribes.
+ *
  * @param {*} initialValue - The initial value of the signal.
+ * @param {object} [options] - Signal options.
+ * @param {((a: any, b: any) => boolean)|false} [options.equals] - Decides
+ *     whether a new value is equal to the current one, in which case nothing
+ *     is notified. Defaults to `===`; `false` notifies on every write (useful
+ *     after mutating an object or array in place).
  * @returns {Function} A function that can be used to get or set the signal's value.
  */
-const signal = (initialValue) => {
-    let value = initialValue;
-    const subscribers = new Set();
+const signal = (initialValue, options) => {
+    const node = { value: initialValue, version: 0, observers: new Set() };
+    const equals = getEquals(options);
 
-    return (...args) => {
+    const read = (...args) => {
         if (args.length === 0) {
-            currentEffect && subscribers.add(currentEffect);
-            return value;
+            track(node);
+            return node.value;
         }
 
         const newValue = args[0];
-        if (value !== newValue) {
-            value = newValue;
-            if (batchDepth === 0) for (const fn of subscribers) fn();
+        if (!equals(node.value, newValue)) {
+            node.value = newValue;
+            node.version++;
+            globalVersion++;
+            for (const observer of node.observers) stale(observer, DIRTY);
+            batchDepth === 0 && scheduleFlush();
         }
 
-        return value;
+        return node.value;
     };
+    read.update = (fn) => read(fn(node.value));
+    return withHelpers(read);
+};
+
+/**
+ * Runs a function without subscribing the current effect to the signals it
+ * reads.
+ *
+ * @param {Function} fn - The function to run.
+ * @returns {*} The result of the function.
+ */
+const untrack = (fn) => {
+    const prevEffect = currentEffect;
+    currentEffect = null;
+    try {
+        return fn();
+    } finally {
+        currentEffect = prevEffect;
+    }
 };
 
 /**
- * Creates an effect that runs a function and remembers it for future calls.
+ * Whether a node keeps its sources subscribed. Effects always do; computeds
+ * only while something observes them, so an unused computed holds no
+ * reference from its sources and can be garbage collected.
  *
- * Effects are functions that run a computation and remember themselves for
- * future calls. When an effect is called, it sets itself as the current effect
- * and then calls the computation. After the computation is done, it sets the
- * current effect back to null.
+ * @param {object} node - The effect or computed node.
+ * @returns {boolean}
+ */
+const isAttached = (node) => node.effect || node.observers.size > 0;
+
+/**
+ * Records a read of `source` by the running effect or computed.
+ *
+ * @param {object} source - The signal or computed node being read.
+ */
+const track = (source) => {
+    if (!currentEffect) return;
+    currentEffect.sources.set(source, source.version);
+    isAttached(currentEffect) && subscribe(source, currentEffect);
+};
+
+/**
+ * Adds an observer to a source. A computed gaining its first observer
+ * subscribes to its own sources in turn.
+ *
+ * @param {object} source - The signal or computed node.
+ * @param {object} observer - The effect or computed node.
+ */
+const subscribe = (source, observer) => {
+    if (source.observers.has(observer)) return;
+    source.observers.add(observer);
+    if (source.fn && source.observers.size === 1)
+        for (const s of source.sources.keys()) subscribe(s, source);
+};
+
+/**
+ * Removes an observer from a source. A computed losing its last observer
+ * unsubscribes from its own sources and is checked lazily from then on.
+ *
+ * @param {object} source - The signal or computed node.
+ * @param {object} observer - The effect or computed node.
+ */
+const unsubscribe = (source, observer) => {
+    if (!source.observers.delete(observer)) return;
+    if (source.fn && source.observers.size === 0)
+        for (const s of source.sources.keys()) unsubscribe(s, source);
+};
+
+/**
+ * Marks a node and everything downstream of it as possibly out of date and
+ * queues the effects reached. Nothing is recomputed here.
+ *
+ * @param {object} node - The effect or computed node.
+ * @param {number} state - `CHECK` or `DIRTY`.
+ */
+const stale = (node, state) => {
+    // A failed computed stays DIRTY while its observers were left CLEAN
+    if (node.state >= state && !node.failed) return;
+    node.effect && node.state === CLEAN && pending.add(node);
+    node.state = state;
+    if (!node.effect) for (const o of node.observers) stale(o, CHECK);
+};
+
+/**
+ * Brings a node up to date. Sources are updated first, in dependency order,
+ * and the node only runs again if one of them actually changed value.
+ *
+ * @param {object} node - The effect or computed node.
+ */
+const update = (node) => {
+    // Unobserved computeds are not notified, so re-check their sources
+    // whenever any signal changed since they were last brought up to date
+    if (
+        node.state === CLEAN &&
+        !isAttached(node) &&
+        node.seen !== globalVersion
+    )
+        node.state = CHECK;
+    node.seen = globalVersion;
+    if (node.state === CHECK) {
+        try {
+            for (const [source, version] of node.sources) {
+                source.fn && update(source);
+                if (source.version !== version) {
+                    node.state = DIRTY;
+                    break;
+                }
+            }
+        } catch (error) {
+            fail(node);
+            throw error;
+        }
+        if (node.state === CHECK) node.state = CLEAN;
+    }
+    node.state === DIRTY && run(node);
+};
+
+/**
+ * Leaves a node whose update threw ready to be retried: an effect runs again
+ * on the next change of its sources, and a computed on its next read, while
+ * still passing changes on to its observers (see `stale`).
+ *
+ * @param {object} node - The effect or computed node.
+ */
+const fail = (node) => {
+    node.state = node.effect ? CLEAN : DIRTY;
+    node.failed = !node.effect;
+};
+
+/**
+ * Runs an effect or computed, collecting its sources again and dropping the
+ * ones it no longer reads.
+ *
+ * @param {object} node - The effect or computed node.
+ */
+const run = (node) => {
+    node.state = CLEAN;
+    node.failed = false;
+    node.effect && cleanNode(node);
+    const prevSources = node.sources;
+    const prevEffect = currentEffect;
+    const prevOwner = currentOwner;
+    node.sources = new Map();
+    node.running = true;
+    currentEffect = node;
+    if (node.effect) currentOwner = node;
+    let result;
+    try {
+        result = node.fn();
+    } catch (error) {
+        fail(node);
+        throw error;
+    } finally {
+        currentEffect = prevEffect;
+        currentOwner = prevOwner;
+        node.running = false;
+        for (const source of prevSources.keys())
+            node.sources.has(source) || unsubscribe(source, node);
+    }
+    if (node.effect) {
+        if (typeof result === "function") node.cleanup = result;
+    } else if (node.version === 0 || !node.equals(node.value, result)) {
+        node.value = result;
+        node.version++;
+    }
+};
+
+/**
+ * Runs the pending effects. Effects queued while flushing (because an effect
+ * wrote to a signal) are picked up by the same loop, and an effect is queued
+ * at most once however many of its signals changed. An effect queued again
+ * and again within one flush is a cycle: the flush stops with an error.
+ */
+const flush = () => {
+    flushQueued = false;
+    if (flushing) return;
+    flushing = true;
+    flushId++;
+    try {
+        for (const node of pending) {
+            pending.delete(node);
+            // Runs of the node are counted from the start of this flush
+            if (node.flushId !== flushId) {
+                node.flushId = flushId;
+                node.runs = 0;
+            }
+            if (++node.runs > MAX_EFFECT_RUNS) {
+                pending.clear();
+                throw new Error(
+                    "[Esor] Cycle detected: effects keep updating their own dependencies"
+                );
+            }
+            node.disposed || update(node);
+        }
+    } finally {
+        flushing = false;
+        const callbacks = flushCallbacks.splice(0);
+        for (let i = 0; i < callbacks.length; i++) callbacks[i]();
+    }
+};
+
+/**
+ * Runs a function once the effects currently being flushed are done, or right
+ * away when no flush is in progress.
+ *
+ * @param {Function} fn - The function to run.
+ */
+const onFlushEnd = (fn) => {
+    flushing ? flushCallbacks.push(fn) : fn();
+};
+
+/**
+ * Flushes pending effects right away in `"sync"` mode, or once in a microtask
+ * in `"microtask"` mode so every write made in the same tick is coalesced.
+ */
+const scheduleFlush = () => {
+    if (scheduler === "sync") flush();
+    else if (!flushQueued) {
+        flushQueued = true;
+        queueMicrotask(flush);
+    }
+};
+
+/**
+ * Sets when effects run after a signal changes.
+ *
+ * - `"sync"` (default): effects run as soon as the signal is written, or when
+ *   the outermost `batch()` ends.
+ * - `"microtask"`: effects run once in a microtask, so several writes in the
+ *   same tick produce a single DOM update.
+ *
+ * @param {"sync"|"microtask"} mode - The scheduler mode.
+ */
+const setScheduler = (mode) => {
+    scheduler = mode;
+};
+
+/**
+ * Returns a promise that resolves once the pending effects have run.
+ *
+ * @returns {Promise<void>}
+ */
+const nextTick = () => new Promise((resolve) => queueMicrotask(resolve));
+
+/**
+ * Releases what an effect or root owns: it disposes the effects and cleanups
+ * created while it ran and runs the cleanup returned by its last execution.
+ *
+ * @param {object} node - The effect or root node.
+ */
+const cleanNode = (node) => {
+    const owned = node.owned;
+    node.owned = [];
+    for (let i = owned.length - 1; i >= 0; i--) owned[i]();
+    if (node.cleanup) {
+        const cleanup = node.cleanup;
+        node.cleanup = null;
+        cleanup();
+    }
+};
+
+/**
+ * Creates an effect that runs a function and re-runs it whenever a signal it
+ * read changes.
+ *
+ * Dependencies are collected again on every run, so signals that are no longer
+ * read (e.g. in a branch that was not taken) stop triggering the effect. If the
+ * function returns a function, it is called before the next run and when the
+ * effect is disposed. Effects and cleanups created while the effect runs are
+ * owned by it and disposed before it re-runs.
+ *
+ * An effect created inside another effect, a root or a component's setup is
+ * owned by it and disposed with it.
  *
  * @param {Function} fn - The computation to run.
- * @returns {Function} The effect function.
+ * @returns {Function} A function that disposes the effect.
  */
 const effect = (fn) => {
-    const execute = () => {
-        currentEffect = execute;
-        fn();
-        currentEffect = null;
+    const node = {
+        fn,
+        effect: true,
+        state: DIRTY,
+        sources: new Map(),
+        owned: [],
+        cleanup: null,
+        disposed: false,
+        host: currentOwner?.host,
+        flushId: 0,
+        runs: 0,
     };
-    execute();
-    return execute;
+    const dispose = () => {
+        if (node.disposed) return;
+        node.disposed = true;
+        pending.delete(node);
+        cleanNode(node);
+        for (const source of node.sources.keys()) unsubscribe(source, node);
+        node.sources.clear();
+    };
+    currentOwner?.owned.push(dispose);
+    run(node);
+    return dispose;
 };
 
 /**
- * Creates a computed signal that automatically updates based on its dependencies.
+ * Runs a function in a new ownership scope that is not tracked by the
+ * surrounding effect. Every effect and cleanup created inside it is released
+ * when the scope is disposed.
  *
- * A computed signal is a derived value that updates whenever the signals it depends
- * on change. When the provided function is executed, it tracks the dependencies,
- * and any changes to those dependencies will cause the computed function to re-run,
- * updating the computed signal's value.
+ * @param {Function} fn - Receives the `dispose` function of the scope.
+ * @returns {*} The result of the function.
+ */
+const createRoot = (fn) => {
+    const node = { owned: [], cleanup: null, host: currentOwner?.host };
+    return runWithOwner(node, () => fn(() => cleanNode(node)));
+};
+
+/**
+ * Runs a function inside the given ownership scope, e.g. one saved with
+ * `getOwner()` during a component's setup. Effects, cleanups and lifecycle
+ * hooks created in asynchronous code (after an `await`, in a timer...) are
+ * then attached to that scope instead of being lost or leaking. Nothing read
+ * inside the function is tracked.
+ *
+ * @param {object|null} owner - The scope returned by `getOwner()`.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The result of the function.
+ */
+const runWithOwner = (owner, fn) => {
+    const prevEffect = currentEffect;
+    const prevOwner = currentOwner;
+    currentEffect = null;
+    currentOwner = owner;
+    try {
+        return fn();
+    } finally {
+        currentEffect = prevEffect;
+        currentOwner = prevOwner;
+    }
+};
+
+/**
+ * Returns the current ownership scope: the running effect, root or component
+ * setup. Scopes created inside a component carry it as `host`.
+ *
+ * @returns {object|null} The current owner.
+ */
+const getOwner = () => currentOwner;
+
+/**
+ * Registers a function to run when the current effect re-runs or when the
+ * current scope (effect, root or component) is disposed.
+ *
+ * @param {Function} fn - The cleanup function.
+ */
+const onCleanup = (fn) => {
+    currentOwner?.owned.push(fn);
+};
+
+/**
+ * Creates a computed signal that derives its value from other signals.
+ *
+ * Computeds are lazy and cached: the function only runs when the value is
+ * read and one of the signals it depends on has changed since the last run.
+ * When a dependency changes, effects reading the computed are only re-run if
+ * the computed value itself changed, and they always see a consistent graph
+ * (no intermediate states in diamond-shaped dependencies). A computed that is
+ * no longer read by any effect drops its subscriptions and can be garbage
+ * collected.
+ *
+ * Like signals, computeds expose `peek()` and `subscribe(cb)`.
  *
  * @param {Function} fn - The function that returns the computed value, which may depend
  * on other reactive signals.
- * @returns {Function} A signal function that returns the current computed value.
+ * @param {object} [options] - Computed options.
+ * @param {((a: any, b: any) => boolean)|false} [options.equals] - Decides
+ *     whether a recomputed value is equal to the previous one, in which case
+ *     effects reading the computed are not re-run. Defaults to `===`.
+ * @returns {Function} A function that returns the current computed value.
+ * @throws {Error} If the computed reads itself, directly or indirectly.
  */
+const computed = (fn, options) => {
+    const node = {
+        fn,
+        equals: getEquals(options),
+        value: undefined,
+        version: 0,
+        seen: -1,
+        state: DIRTY,
+        sources: new Map(),
+        observers: new Set(),
+        running: false,
+    };
 
-const computed = (fn) => {
-    const result = signal(undefined);
-    effect(() => result(fn()));
-    return result;
+    return withHelpers(() => {
+        if (node.running)
+            throw new Error("[Esor] Cycle detected: computed reads itself");
+        update(node);
+        track(node);
+        return node.value;
+    });
 };
 
 /**
@@ -77,16 +506,33 @@ const computed = (fn) => {
  *
  * Batching is useful when you need to update multiple reactive signals
  * without notifying their subscribers until all updates are complete.
- * This can be useful for performance optimization.
+ * Subscribers are queued once, whatever the number of writes, and run when
+ * the outermost batch exits, even if the function throws.
  *
  * @param {Function} fn - The function to run in batch mode.
  * @returns {*} The result of the function.
  */
 const batch = (fn) => {
     batchDepth++;
-    const result = fn();
-    --batchDepth;
-    return result;
+    try {
+        return fn();
+    } finally {
+        --batchDepth === 0 && pending.size && scheduleFlush();
+    }
 };
 
-export { signal, effect, computed, batch };
+export {
+    signal,
+    isSignal,
+    effect,
+    computed,
+    batch,
+    untrack,
+    createRoot,
+    onCleanup,
+    getOwner,
+    runWithOwner,
+    setScheduler,
+    nextTick,
+    onFlushEnd,
+};
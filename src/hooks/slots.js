@@ -0,0 +1,157 @@
+import { computed, signal } from "./reactivity.js";
+import { getHost } from "./context.js";
+
+/**
+ * Whether a child of the host is assigned to a slot: elements by their `slot`
+ * attribute, text to the default slot unless it is only whitespace.
+ *
+ * @param {Node} node - The child.
+ * @param {string} name - The slot name, `""` for the default slot.
+ * @returns {boolean}
+ */
+const isAssigned = (node, name) =>
+    node.nodeType === Node.ELEMENT_NODE
+        ? (/** @type {Element} */ (node).getAttribute("slot") || "") === name
+        : name === "" &&
+          node.nodeType === Node.TEXT_NODE &&
+          node.textContent.trim() !== "";
+
+/**
+ * Returns the nodes of a component assigned to a slot: its children or, in
+ * light DOM mode, the children it had when it mounted.
+ *
+ * @param {HTMLElement} h - The host component.
+ * @param {string} name - The slot name.
+ * @returns {Node[]} The assigned nodes.
+ */
+const assignedNodes = (h, name) =>
+    Array.from(h._authored || h.childNodes).filter((n) => isAssigned(n, name));
+
+/**
+ * Compares two lists of nodes.
+ *
+ * @param {Node[]} a - A list.
+ * @param {Node[]} b - Another list.
+ * @returns {boolean}
+ */
+const sameNodes = (a, b) =>
+    a.length === b.length && a.every((node, i) => node === b[i]);
+
+/**
+ * Returns the signal holding the nodes assigned to a slot of a component,
+ * creating it on first use.
+ *
+ * @param {HTMLElement} h - The host component.
+ * @param {string} name - The slot name.
+ * @returns {Function} The signal.
+ */
+const getSlot = (h, name) => {
+    h._slots ||= new Map();
+    let nodes = h._slots.get(name);
+    if (!nodes) {
+        nodes = signal(assignedNodes(h, name), { equals: sameNodes });
+        h._slots.set(name, nodes);
+    }
+    return nodes;
+};
+
+/**
+ * Updates the slot signals of a component. Called by the component on
+ * `slotchange`.
+ *
+ * @param {HTMLElement} h - The host component.
+ */
+const refreshSlots = (h) =>
+    h._slots?.forEach((nodes, name) => nodes(assignedNodes(h, name)));
+
+/**
+ * Groups the children a light DOM component had when it mounted into the
+ * units moved to its slots. A range a parent template renders a value into
+ * (`<light-card>${() => x()}</light-card>`) is one unit, from its start
+ * marker to its end marker, with the nodes rendered in it now; other
+ * children are a unit each.
+ *
+ * @param {Node[]} nodes - The children of the component when it mounted.
+ * @returns {Node[][]} The units, in order.
+ */
+const groupChildren = (nodes) => {
+    const groups = [];
+    for (let i = 0; i < nodes.length; i++) {
+        const group = [nodes[i]];
+        const end = /** @type {any} */ (nodes[i])._end;
+        if (end) {
+            for (let n = nodes[i]; n !== end; ) group.push((n = n.nextSibling));
+            i = nodes.indexOf(end, i);
+        }
+        groups.push(group);
+    }
+    return groups;
+};
+
+/**
+ * Moves the children of a light DOM component into the `<slot>` elements of
+ * its rendered template, replacing their fallback content, as a shadow root
+ * would display them. The ranges of a parent template go to the default
+ * slot as a whole, so their updates land in it (see `groupChildren`).
+ * Children without a matching slot are left in place.
+ *
+ * @param {DocumentFragment} fragment - The rendered template.
+ * @param {Node[]} nodes - The children of the component.
+ */
+const distributeSlots = (fragment, nodes) => {
+    const groups = groupChildren(nodes);
+    for (const slot of fragment.querySelectorAll("slot")) {
+        const name = slot.getAttribute("name") || "";
+        const assigned = groups.filter((group) =>
+            group.length > 1 ? name === "" : isAssigned(group[0], name)
+        );
+        assigned.length && slot.replaceChildren(...assigned.flat());
+    }
+};
+
+/**
+ * Returns the nodes assigned to a slot of the current component, as a
+ * computed updated on `slotchange` (so the slot must be rendered to notice
+ * changes). Elements are assigned by their `slot` attribute, other content to
+ * the default slot; whitespace-only text is ignored. In light DOM mode, the
+ * children are assigned when the component mounts.
+ *
+ * @example
+ * const footer = slotted("footer");
+ * return html`<footer ?hidden=${() => !footer().length}>
+ *     <slot name="footer"></slot>
+ * </footer>`;
+ *
+ * @param {string} [name=""] - The slot name, `""` for the default slot.
+ * @returns {Function} A computed returning the assigned nodes.
+ * @throws {Error} If called outside of a component's setup phase.
+ */
+const slotted = (name = "") => {
+    const nodes = getSlot(getHost("slotted"), name);
+    return computed(() => nodes());
+};
+
+/**
+ * Returns the slots of the current component: each property, such as
+ * `slots.footer`, is a computed returning the nodes assigned to that slot
+ * (see `slotted`), and `slots.default` is the default slot.
+ *
+ * @returns {Record<string, Function>} The slots.
+ * @throws {Error} If called outside of a component's setup phase.
+ */
+const useSlots = () => {
+    const h = getHost("useSlots");
+    const slots = Object.create(null);
+    return new Proxy(slots, {
+        get: (target, name) => {
+            if (typeof name !== "string") return undefined;
+            if (!target[name]) {
+                const nodes = getSlot(h, name === "default" ? "" : name);
+                target[name] = computed(() => nodes());
+            }
+            return target[name];
+        },
+    });
+};
+
+export { slotted, useSlots, refreshSlots, distributeSlots, groupChildren };
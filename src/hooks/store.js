@@ -0,0 +1,270 @@
+import { signal, batch, untrack } from "./reactivity.js";
+
+const RAW = Symbol("esor.raw");
+const KEYS = Symbol("esor.keys");
+const ARRAY_MUTATORS = [
+    "push",
+    "pop",
+    "shift",
+    "unshift",
+    "splice",
+    "sort",
+    "reverse",
+    "fill",
+    "copyWithin",
+];
+
+const proxies = new WeakMap();
+const nodes = new WeakMap();
+
+/**
+ * Whether a value is wrapped by stores: plain objects and arrays only, so
+ * dates, maps or DOM nodes are stored as they are.
+ *
+ * @param {any} v - The value to check.
+ * @returns {boolean}
+ */
+const isWrappable = (v) => {
+    if (v === null || typeof v !== "object") return false;
+    const proto = Object.getPrototypeOf(v);
+    return proto === Object.prototype || proto === null || Array.isArray(v);
+};
+
+/**
+ * Returns the raw object behind a store proxy.
+ *
+ * @param {any} v - A store proxy or any value.
+ * @returns {any} The raw value.
+ */
+const unwrap = (v) => v?.[RAW] || v;
+
+/**
+ * Returns the signal tracking one property (or the key list, with `KEYS`) of
+ * a raw object, creating it on first use. The signals carry no value, they
+ * only notify: the value itself lives in the raw object.
+ *
+ * @param {object} target - The raw object.
+ * @param {string|symbol} key - The property.
+ * @returns {Function} The signal.
+ */
+const getNode = (target, key) => {
+    let map = nodes.get(target);
+    if (!map) nodes.set(target, (map = new Map()));
+    let node = map.get(key);
+    if (!node) map.set(key, (node = signal(undefined, { equals: false })));
+    return node;
+};
+
+/**
+ * Notifies the readers of a property, if anyone ever tracked it.
+ *
+ * @param {object} target - The raw object.
+ * @param {string|symbol} key - The property.
+ */
+const trigger = (target, key) => nodes.get(target)?.get(key)?.(undefined);
+
+/**
+ * Writes a property of a raw object and notifies only when the value
+ * actually changed. Adding a property also notifies the readers of the key
+ * list; resizing an array notifies `length` and, when it shrinks, the
+ * readers of the removed indices.
+ *
+ * @param {object} target - The raw object.
+ * @param {string|symbol} key - The property.
+ * @param {any} value - The new value.
+ */
+const setProperty = (target, key, value) => {
+    value = unwrap(value);
+    const had = Object.prototype.hasOwnProperty.call(target, key);
+    if (had && target[key] === value) return;
+    const length = Array.isArray(target) ? target.length : -1;
+    batch(() => {
+        target[key] = value;
+        trigger(target, key);
+        had || trigger(target, KEYS);
+        if (length === -1 || target.length === length) return;
+        trigger(target, "length");
+        trigger(target, KEYS);
+        for (let i = target.length; i < length; i++) trigger(target, String(i));
+    });
+};
+
+/**
+ * Deletes a property of a raw object and notifies its readers.
+ *
+ * @param {object} target - The raw object.
+ * @param {string|symbol} key - The property.
+ */
+const deleteProperty = (target, key) => {
+    if (!Object.prototype.hasOwnProperty.call(target, key)) return;
+    batch(() => {
+        delete target[key];
+        trigger(target, key);
+        trigger(target, KEYS);
+    });
+};
+
+const handler = {
+    get(target, key, receiver) {
+        if (key === RAW) return target;
+        if (Array.isArray(target) && ARRAY_MUTATORS.includes(key)) {
+            // Run mutators untracked and in a batch: every index they write
+            // notifies its own readers, once the whole operation is done
+            return (...args) =>
+                batch(() =>
+                    untrack(() => Array.prototype[key].apply(receiver, args))
+                );
+        }
+        const value = target[key];
+        if (typeof key === "symbol" || typeof value === "function")
+            return value;
+        getNode(target, key)();
+        return isWrappable(value) ? wrap(value) : value;
+    },
+    set(target, key, value) {
+        setProperty(target, key, value);
+        return true;
+    },
+    deleteProperty(target, key) {
+        deleteProperty(target, key);
+        return true;
+    },
+    has(target, key) {
+        typeof key === "symbol" || getNode(target, key)();
+        return key in target;
+    },
+    ownKeys(target) {
+        getNode(target, KEYS)();
+        Array.isArray(target) && getNode(target, "length")();
+        return Reflect.ownKeys(target);
+    },
+};
+
+/**
+ * Returns the (cached) proxy for a raw object.
+ *
+ * @param {object} target - The raw object.
+ * @returns {object} The proxy.
+ */
+const wrap = (target) => {
+    let proxy = proxies.get(target);
+    if (!proxy) proxies.set(target, (proxy = new Proxy(target, handler)));
+    return proxy;
+};
+
+/**
+ * Creates a deeply reactive proxy over a plain object or array.
+ *
+ * Every property is tracked on its own: an effect reading `todos[3].done`
+ * only re-runs when that property changes. Nested objects and arrays are
+ * wrapped lazily when read, and array mutators (`push`, `splice`, `sort`...)
+ * are batched so they only notify the indices whose value changed, plus
+ * `length` and iteration when they change.
+ *
+ * @param {object|Array} initialValue - The object to make reactive. It is
+ *     used as the backing storage, not copied.
+ * @returns {object|Array} The reactive proxy.
+ */
+const reactive = (initialValue) => wrap(unwrap(initialValue));
+
+/**
+ * Creates a store: a deeply reactive state (see `reactive`) and a setter to
+ * update it.
+ *
+ * The setter accepts:
+ * - an object, shallowly merged into the state;
+ * - a function receiving the state, such as `produce(...)` or
+ *   `reconcile(...)`; if it returns an object, that object is merged.
+ *
+ * @param {object|Array} initialValue - The initial state.
+ * @returns {[object, Function]} The state proxy and its setter.
+ */
+const store = (initialValue) => {
+    const state = reactive(initialValue);
+    const setState = (update) =>
+        batch(() => {
+            const value =
+                typeof update === "function" ? update(state) : update;
+            if (value && typeof value === "object" && value !== state)
+                for (const key of Object.keys(value))
+                    setProperty(unwrap(state), key, value[key]);
+        });
+    return [state, setState];
+};
+
+/**
+ * Creates a store updater that applies mutations written against the state,
+ * batched so bindings update once.
+ *
+ * @example
+ * setTodos(produce((s) => { s.items[0].done = true; }));
+ *
+ * @param {Function} recipe - Mutates the state it receives.
+ * @returns {Function} An updater for a store setter.
+ */
+const produce = (recipe) => (state) => {
+    recipe(state);
+};
+
+/**
+ * Diffs `next` into `target` (both raw), reusing existing nested objects so
+ * only the properties that differ notify their readers. Array items are
+ * matched by `key` when they have one, by index otherwise.
+ *
+ * @param {object} target - The raw current value.
+ * @param {object} next - The new value.
+ * @param {string} key - The property identifying array items.
+ */
+const applyState = (target, next, key) => {
+    const keyOf = (item) => (isWrappable(item) ? item[key] : undefined);
+    const canMerge = (prev, item) =>
+        isWrappable(prev) &&
+        isWrappable(item) &&
+        Array.isArray(prev) === Array.isArray(item);
+
+    if (Array.isArray(target) && Array.isArray(next)) {
+        const byKey = new Map();
+        for (let i = 0; i < target.length; i++)
+            keyOf(target[i]) != null && byKey.set(keyOf(target[i]), target[i]);
+        // Resolve every item before writing, as writes shift `target`
+        const items = next.map((item, i) => {
+            const prev =
+                keyOf(item) != null ? byKey.get(keyOf(item)) : target[i];
+            if (!canMerge(prev, item)) return item;
+            applyState(prev, item, key);
+            return prev;
+        });
+        for (let i = 0; i < items.length; i++)
+            setProperty(target, String(i), items[i]);
+        setProperty(target, "length", items.length);
+        return;
+    }
+    for (const k of Object.keys(next)) {
+        canMerge(target[k], next[k])
+            ? applyState(target[k], next[k], key)
+            : setProperty(target, k, next[k]);
+    }
+    for (const k of Object.keys(target)) k in next || deleteProperty(target, k);
+};
+
+/**
+ * Creates a store updater that replaces the state with an immutable value
+ * (e.g. fresh data from a server), diffing it into the current state so
+ * unchanged properties and array items keep their identity and do not
+ * notify.
+ *
+ * @example
+ * setState(reconcile(await fetchTodos(), { key: "id" }));
+ *
+ * @param {object|Array} value - The new state.
+ * @param {object} [options]
+ * @param {string} [options.key="id"] - The property identifying array items.
+ * @returns {Function} An updater for a store setter.
+ */
+const reconcile =
+    (value, { key = "id" } = {}) =>
+    (state) => {
+        applyState(unwrap(state), unwrap(value), key);
+    };
+
+export { store, reactive, produce, reconcile, unwrap };
@@ -1,12 +1,38 @@
 export { component } from "./component.js";
 export { html } from "./template/render.js";
+export { each, when, show, match } from "./template/flow.js";
+export { renderToString } from "./template/ssr.js";
 
 // Reactivity
-export { signal, computed, effect, batch } from "./hooks/reactivity.js";
+export {
+    signal,
+    isSignal,
+    computed,
+    effect,
+    batch,
+    untrack,
+    createRoot,
+    onCleanup,
+    getOwner,
+    runWithOwner,
+    setScheduler,
+    nextTick,
+} from "./hooks/reactivity.js";
+export {
+    store,
+    reactive,
+    produce,
+    reconcile,
+    unwrap,
+} from "./hooks/store.js";
 
 // Utilities
 export { ref } from "./hooks/ref.js";
 export { emit } from "./hooks/emit.js";
+export { provide, inject } from "./hooks/context.js";
+export { form, useFormInternals } from "./hooks/form.js";
+export { slotted, useSlots } from "./hooks/slots.js";
+export { css } from "./utils/styles.js";
 
 // LifeCycle
 export {
@@ -16,5 +42,8 @@ export {
     beforeMount,
     beforeUpdate,
     onEffect,
+    onFormReset,
+    onFormDisabled,
+    onFormStateRestore,
     getCurrentContext,
 } from "./lifecycle.js";
@@ -1,45 +1,78 @@
-let ctx = null;
+import { onFlushEnd, getOwner } from "./hooks/reactivity.js";
+
 const LIFECYCLE_HOOKS = [
     "beforeMount",
     "mount",
     "beforeUpdate",
     "update",
     "destroy",
+    // Form-associated components, see `useFormInternals`
+    "formReset",
+    "formDisabled",
+    "formStateRestore",
 ];
 
 /**
  * Initializes the lifecycle system for a component.
  * @param {object} h - The host component to which the lifecycle is attached.
  * Sets up the lifecycle hooks for the component and defines a method to run
- * these hooks.
+ * these hooks, in a microtask unless `sync` is set, with the given arguments.
  */
 export const createLifecycle = (h) => {
-    ctx = h;
     h._lifecycles = Object.fromEntries(LIFECYCLE_HOOKS.map((k) => [k, []]));
-    h.runHook = (k) => {
+    h.runHook = (k, sync = false, args = []) => {
         const hooks = h._lifecycles?.[k];
         if (hooks?.length) {
-            queueMicrotask(() => {
+            const run = () => {
                 for (let i = 0; i < hooks.length; i++) {
-                    hooks[i].call(h);
+                    hooks[i].apply(h, args);
                 }
-            });
+            };
+            sync ? run() : queueMicrotask(run);
         }
     };
 };
 
+/**
+ * Signals that one of a component's bindings is about to update the DOM.
+ * The first call during a flush runs the `beforeUpdate` hooks right away,
+ * before any DOM change, and schedules the `update` hooks for when the flush
+ * is over, so each hook runs once per flush however many bindings changed.
+ *
+ * @param {object} [h] - The host component owning the binding.
+ */
+export const notifyUpdate = (h) => {
+    if (!h?.runHook || h._updating) return;
+    h._updating = true;
+    h.runHook("beforeUpdate", true);
+    onFlushEnd(() => {
+        h._updating = false;
+        h.runHook("update");
+    });
+};
+
 /**
  * Adds a lifecycle hook function to the current component's lifecycle system.
  *
+ * The current component is the `host` of the current ownership scope. Setup
+ * runs inside the component's own scope, which is entered and left around it
+ * like a stack: a child component set up in the middle of its parent's
+ * render restores the parent's scope when done, and code running after setup
+ * (timers, after an `await`) has no scope unless it uses `runWithOwner`.
+ *
  * @param {string} k - The name of the lifecycle hook.
  * @param {Function} fn - The function to add as a hook.
  * @throws {Error} If called outside of a component's setup phase.
  */
 const addHook = (k, fn) => {
-    if (!ctx?._lifecycles)
-        throw new Error(`[Esor] Hook called outside ctx setup for "${k}"`);
+    const h = getOwner()?.host;
+    if (!h?._lifecycles)
+        throw new Error(
+            `[Esor] Hook "${k}" called outside of a component setup. ` +
+                "Use runWithOwner(getOwner(), fn) to register it from async code."
+        );
 
-    ctx._lifecycles[k].push(fn);
+    h._lifecycles[k].push(fn);
 };
 
 const exportedHooks = {};
@@ -65,18 +98,26 @@ export const onEffect = (fn) => {
 
 /**
  * Retrieves the current lifecycle context (component host).
- * This function exposes the internal module-scoped `ctx` variable, which holds
- * the current component instance during its setup phase.
+ * This is the host of the current ownership scope, which holds the current
+ * component instance during its setup phase.
  * @returns {object|null} The current component context, or null if called outside of a component's setup phase.
- * @warning Use with caution. Accessing context outside of a component's synchronous
- * setup phase or in asynchronous contexts can lead to unexpected behavior or retrieving
- * a stale or incorrect context.
+ * @warning In asynchronous code, save the scope with `getOwner()` during setup
+ * and restore it with `runWithOwner` to get the right context.
  */
 export const getCurrentContext = () => {
+    const ctx = getOwner()?.host ?? null;
     !ctx &&
         console.warn("getCurrentContext called outside of component lifecycle");
     return ctx;
 };
 
-export const { beforeMount, onMount, beforeUpdate, onUpdate, onDestroy } =
-    exportedHooks;
+export const {
+    beforeMount,
+    onMount,
+    beforeUpdate,
+    onUpdate,
+    onDestroy,
+    onFormReset,
+    onFormDisabled,
+    onFormStateRestore,
+} = exportedHooks;
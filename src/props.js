@@ -1,4 +1,19 @@
+import {
+    effect,
+    getOwner,
+    runWithOwner,
+    signal,
+    untrack,
+} from "./hooks/reactivity.js";
+
 const NUM_REGEX = /^-?\d+(?:\.\d+)?(?:e[+-]?\d+)?$/;
+const UPPER_REGEX = /[A-Z]/g;
+// `process.env.NODE_ENV` is replaced by the build (see scripts/build.js);
+// sources used as they are count as development
+let DEV = true;
+try {
+    DEV = process.env.NODE_ENV !== "production";
+} catch {}
 
 /**
  * Parses a given attribute value string into an appropriate JavaScript type.
@@ -29,15 +44,278 @@ export const parseAttributeValue = (v) => {
 };
 
 /**
- * Initializes properties from attributes of a host element.
+ * @typedef {object} PropDefinition
+ * @property {string} key - The prop name.
+ * @property {string} attribute - The observed attribute name.
+ * @property {Function} [type] - The constructor used to coerce the attribute.
+ * @property {any} [default] - The value used when the attribute is missing.
+ * @property {boolean} [reflect] - Whether changes made through `props` are
+ *     written back to the attribute.
+ * @property {boolean} [required] - Whether a missing prop should warn.
+ */
+
+/**
+ * Coerces an attribute value according to a prop definition.
+ *
+ * - `Boolean` props are `true` when the attribute is present and not `"false"`.
+ * - `Object` and `Array` props are parsed as JSON.
+ * - `Number` and `String` are called with the value, other constructors
+ *   (`Date`...) are instantiated with it and functions without a prototype
+ *   (arrow functions) are called with it.
+ * - Without a `type`, the value goes through `parseAttributeValue`.
+ *
+ * A missing attribute yields the prop's default value, and so does any
+ * attribute of a `Function` prop: its text is never turned into code (a
+ * warning is shown in development builds).
+ *
+ * @param {PropDefinition} def - The prop definition.
+ * @param {string|null} v - The attribute value.
+ * @returns {any} The coerced value.
+ */
+export const coerceProp = (def, v) => {
+    const { type } = def;
+    if (type === Boolean) return v != null && v !== "false";
+    if (v == null) return getDefault(def);
+    if (type === Function) {
+        DEV &&
+            console.warn(
+                `[Esor] Function prop "${def.key}" ignores its attribute, pass a function instead`
+            );
+        return getDefault(def);
+    }
+    if (!type) return parseAttributeValue(v);
+    if (type === Object || type === Array) {
+        try {
+            return JSON.parse(v);
+        } catch {
+            return v;
+        }
+    }
+    if (type === Number || type === String || !type.prototype) return type(v);
+    return new type(v);
+};
+
+/**
+ * Resolves the default value of a prop. Defaults given as functions are
+ * factories (so objects and arrays are not shared between instances), unless
+ * the prop itself is of type `Function`. `Boolean` props default to `false`.
+ *
+ * @param {PropDefinition} def - The prop definition.
+ * @returns {any} The default value.
+ */
+const getDefault = (def) => {
+    if (def.type === Boolean) return def.default ?? false;
+    return typeof def.default === "function" && def.type !== Function
+        ? def.default()
+        : def.default;
+};
+
+/**
+ * Serializes a prop value back to its attribute, removing the attribute for
+ * `null`, `undefined` and `false`.
  *
  * @param {HTMLElement} h - Element host
+ * @param {PropDefinition} def - The prop definition.
+ * @param {any} v - The prop value.
+ */
+const reflectProp = (h, def, v) => {
+    if (v == null || v === false) h.removeAttribute(def.attribute);
+    else
+        h.setAttribute(
+            def.attribute,
+            v === true ? "" : typeof v === "object" ? JSON.stringify(v) : v
+        );
+};
+
+/**
+ * Normalizes the `props` option of `component()` into a map of observed
+ * attribute names to prop definitions.
+ *
+ * Accepts either a list of prop names (`["count", "userName"]`) or an object
+ * keyed by prop name whose values are either a type (`{ count: Number }`) or
+ * an options object (`{ count: { type: Number, default: 0, reflect: true,
+ * required: true } }`). camelCase names are observed through their kebab-case
+ * attribute (`userName` -> `user-name`) unless `attribute` is given.
+ *
+ * @param {string[]|object} [props] - The declared props.
+ * @returns {Map<string, PropDefinition>} Definitions by attribute name.
+ */
+export const normalizeProps = (props) => {
+    const defs = new Map();
+    if (!props) return defs;
+    const keys = Array.isArray(props) ? props : Object.keys(props);
+    for (let i = 0; i < keys.length; i++) {
+        const key = keys[i];
+        const option = Array.isArray(props) ? null : props[key];
+        const def =
+            typeof option === "function" ? { type: option } : { ...option };
+        def.key = key;
+        def.attribute ||= key.replace(
+            UPPER_REGEX,
+            (c) => `-${c.toLowerCase()}`
+        );
+        defs.set(def.attribute, def);
+    }
+    return defs;
+};
+
+/**
+ * Defines a signal-backed property on the host's `props` object, so reading
+ * it inside an effect or template binding subscribes to later changes.
+ * Writes made through `props` are reflected to the attribute when the prop
+ * asks for it; reflection is deferred to a microtask so it never happens
+ * inside the element's constructor.
+ *
+ * @param {HTMLElement} h - Element host
+ * @param {PropDefinition} def - The prop definition.
+ */
+const defineProp = (h, def) => {
+    const value = (h._propSignals[def.key] = signal(undefined));
+    Object.defineProperty(h.props, def.key, {
+        get: () => value(),
+        set: (v) => {
+            value(v);
+            if (!def.reflect) return;
+            h._pendingReflect ||= new Set();
+            h._pendingReflect.size ||
+                queueMicrotask(() => {
+                    h._reflecting = true;
+                    for (const d of h._pendingReflect)
+                        reflectProp(h, d, h._propSignals[d.key]());
+                    h._reflecting = false;
+                    h._pendingReflect.clear();
+                });
+            h._pendingReflect.add(def);
+        },
+        enumerable: true,
+    });
+};
+
+/**
+ * Exposes declared props as properties of the element class, so that
+ * `el.count = 5` (or a `.count=${5}` template binding) updates `props.count`,
+ * objects included. Props named like an existing `HTMLElement` member are
+ * only available through `props`.
+ *
+ * @param {object} proto - The component class prototype.
+ * @param {Map<string, PropDefinition>} defs - Declared props, see `normalizeProps`.
  */
-export const initializeProps = (h) => {
-    h._functionProps && Object.assign(h.props, h._functionProps);
-    for (const { name: n, value: v } of h.attributes) {
-        if (n.startsWith("on") || n.startsWith("ref")) continue;
-        if (v === "function" && h._functionProps?.[n]) continue;
-        h.props[n] = parseAttributeValue(v);
+export const definePropAccessors = (proto, defs) => {
+    for (const { key } of defs.values()) {
+        if (key in proto) continue;
+        Object.defineProperty(proto, key, {
+            get() {
+                return this.props[key];
+            },
+            set(v) {
+                this.props[key] = v;
+            },
+            configurable: true,
+        });
     }
 };
+
+/**
+ * Binds a function handed to a declared prop by a template
+ * (`count=${() => n()}`): the prop follows the function's result. The effect
+ * belongs to the template binding, so it stops when the binding is released.
+ *
+ * @param {HTMLElement} h - Element host
+ * @param {string} key - The prop name.
+ * @param {Function} fn - The bound function.
+ * @param {object} [owner] - The scope of the template binding.
+ */
+const bindProp = (h, key, fn, owner = getOwner()) =>
+    runWithOwner(owner, () => effect(() => h._propSignals[key](fn())));
+
+/**
+ * Hands a function a template bound to a component to its props: a
+ * declared `Function` prop receives it as it is, any other declared prop
+ * follows its result (see `bindProp`) and undeclared props receive it as it
+ * is.
+ *
+ * @param {HTMLElement} h - Element host
+ * @param {Map<string, PropDefinition>} defs - Declared props, see `normalizeProps`.
+ * @param {string} name - The attribute name.
+ * @param {Function} fn - The function.
+ * @param {object} [owner] - The scope of the template binding.
+ */
+export const setFunctionProp = (h, defs, name, fn, owner) => {
+    const def = defs.get(name);
+    if (!def) h.props[name] = fn;
+    else if (def.type === Function) h._propSignals[def.key](fn);
+    else bindProp(h, def.key, fn, owner);
+};
+
+/**
+ * Initializes properties from attributes of a host element.
+ *
+ * Declared props become reactive, are coerced by their type and fall back to
+ * their default; any other attribute is read once. Functions a template
+ * handed to the element before it was upgraded go through
+ * `setFunctionProp`. Properties assigned to the element before it was
+ * upgraded take precedence over attributes.
+ *
+ * @param {HTMLElement} h - Element host
+ * @param {Map<string, PropDefinition>} [defs] - Declared props, see `normalizeProps`.
+ */
+export const initializeProps = (h, defs = new Map()) => {
+    // Upgrading inside a running effect (a template re-rendering) must not
+    // subscribe it to the props it fills
+    untrack(() => {
+        h._propSignals = Object.create(null);
+        for (const def of defs.values()) defineProp(h, def);
+        const fp = h._functionProps;
+        for (const k in fp)
+            setFunctionProp(h, defs, k, fp[k], h._functionOwners?.[k]);
+        for (const { name: n, value: v } of h.attributes) {
+            if (n.startsWith("on") || n.startsWith("ref")) continue;
+            if (v === "function" && fp?.[n]) continue;
+            const def = defs.get(n);
+            def
+                ? h._propSignals[def.key](coerceProp(def, v))
+                : (h.props[n] = parseAttributeValue(v));
+        }
+        for (const def of defs.values()) {
+            // An own property hides the prototype accessor: move it to `props`
+            if (!Object.prototype.hasOwnProperty.call(h, def.key)) continue;
+            const v = h[def.key];
+            delete h[def.key];
+            h._propSignals[def.key](v);
+        }
+        for (const def of defs.values())
+            h._propSignals[def.key]() === undefined &&
+                h._propSignals[def.key](getDefault(def));
+    });
+};
+
+/**
+ * Warns about the required props a component is mounted without, in
+ * development builds. Called on mount, so attributes set after the element
+ * was created (`createElement()` then `setAttribute()`) count.
+ *
+ * @param {HTMLElement} h - Element host
+ * @param {Map<string, PropDefinition>} [defs] - Declared props, see `normalizeProps`.
+ */
+export const warnMissingProps = (h, defs = new Map()) => {
+    if (!DEV) return;
+    for (const def of defs.values())
+        def.required &&
+            h._propSignals[def.key].peek() === undefined &&
+            console.warn(
+                `[Esor] Missing required prop "${def.key}" on <${h.localName}>`
+            );
+};
+
+/**
+ * Applies an observed attribute change to the matching declared prop.
+ *
+ * @param {HTMLElement} h - Element host
+ * @param {Map<string, PropDefinition>} defs - Declared props, see `normalizeProps`.
+ * @param {string} name - The attribute name.
+ * @param {string|null} value - The new attribute value.
+ */
+export const updateProp = (h, defs, name, value) => {
+    const def = defs.get(name);
+    if (def && !h._reflecting) h._propSignals[def.key](coerceProp(def, value));
+};
@@ -0,0 +1,129 @@
+import { bind } from "./render.js";
+
+/**
+ * Reads a value that may be given as a signal or getter.
+ *
+ * @param {any} v - The value or a function returning it.
+ * @returns {any} The value.
+ */
+const read = (v) => (typeof v === "function" ? v() : v);
+
+/**
+ * Collects the class names of a class binding value: a string of names, an
+ * object whose keys are names enabled by truthy values, or an array of any
+ * of these. Functions, in any position, are called.
+ *
+ * @param {any} value - The value.
+ * @param {Set<string>} names - Receives the names.
+ */
+const collectClasses = (value, names) => {
+    value = read(value);
+    if (Array.isArray(value)) {
+        for (let i = 0; i < value.length; i++)
+            collectClasses(value[i], names);
+    } else if (value && typeof value === "object") {
+        for (const key in value)
+            read(value[key]) && collectClasses(key, names);
+    } else if (value) {
+        for (const name of String(value).split(/\s+/)) name && names.add(name);
+    }
+};
+
+/**
+ * Binds the classes of an element, e.g.
+ * `class=${{ active: isActive, disabled: () => off() }}` or
+ * `class=${["btn", () => size()]}`. The value (or any of its entries) can be
+ * a signal or getter, and only the classes that changed are added or
+ * removed, so classes set by other code are left alone.
+ *
+ * @param {Element} node - The element.
+ * @param {any} value - The binding value, see `collectClasses`.
+ */
+const bindClass = (node, value) =>
+    bind(() => {
+        // Kept on the node: a template updated in place binds a new value
+        const current = node._classes || new Set();
+        const next = new Set();
+        collectClasses(value, next);
+        for (const name of current)
+            next.has(name) || node.classList.remove(name);
+        for (const name of next) current.has(name) || node.classList.add(name);
+        node._classes = next;
+    });
+
+/**
+ * Converts a style key to a CSS property name: camelCase keys are converted
+ * to kebab-case, custom properties (`--name`) are kept as they are.
+ *
+ * @param {string} key - The key.
+ * @returns {string} The property name.
+ */
+const toProperty = (key) =>
+    key.startsWith("--")
+        ? key
+        : key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+
+/**
+ * Collects the declarations of a style binding value: an object of
+ * properties, or an array of objects merged in order. Functions, in any
+ * position, are called, and `null`, `undefined` and `false` values are left
+ * out.
+ *
+ * @param {any} value - The value.
+ * @param {Map<string, string>} declarations - Receives the declarations.
+ */
+const collectStyles = (value, declarations) => {
+    value = read(value);
+    if (Array.isArray(value)) {
+        for (let i = 0; i < value.length; i++)
+            collectStyles(value[i], declarations);
+    } else if (value && typeof value === "object") {
+        for (const key in value) {
+            const v = read(value[key]);
+            v == null || v === false
+                ? declarations.delete(toProperty(key))
+                : declarations.set(toProperty(key), String(v));
+        }
+    }
+};
+
+/**
+ * Binds the inline style of an element, e.g.
+ * `style=${() => ({ color: color(), "--size": `${size()}px` })}`. The value
+ * (or any of its entries) can be a signal or getter; only the properties
+ * that changed are written, with `setProperty` so custom properties and
+ * `!important` work, and the ones that disappear are removed. A string
+ * value replaces the whole inline style.
+ *
+ * @param {HTMLElement} node - The element.
+ * @param {any} value - The binding value, see `collectStyles`.
+ */
+const bindStyle = (node, value) =>
+    bind(() => {
+        const style = read(value);
+        if (typeof style === "string") {
+            node.style.cssText = style;
+            // The properties of a string are not tracked
+            node._styles = null;
+            return;
+        }
+        node._styles === null && (node.style.cssText = "");
+        // Kept on the node: a template updated in place binds a new value
+        const current = node._styles || new Map();
+        const next = new Map();
+        collectStyles(style, next);
+        for (const [property] of current)
+            next.has(property) || node.style.removeProperty(property);
+        for (const [property, v] of next) {
+            if (current.get(property) === v) continue;
+            const important = v.endsWith("!important");
+            node.style.setProperty(
+                property,
+                important ? v.slice(0, -10).trim() : v,
+                important ? "important" : ""
+            );
+        }
+        node._styles = next;
+    });
+
+export { bindClass, bindStyle, collectClasses, collectStyles, read };
@@ -0,0 +1,69 @@
+import { effect, isSignal, onCleanup } from "../hooks/reactivity.js";
+
+const MODIFIERS = ["capture", "once", "passive"];
+
+/**
+ * Splits an event binding name into the event type and the listener options
+ * given as modifiers, e.g. `click.once.passive`.
+ *
+ * @param {string} name - The binding name, without its `@` or `on` prefix.
+ * @returns {[string, AddEventListenerOptions]} The type and the options.
+ */
+const parseEventName = (name) => {
+    const [type, ...modifiers] = name.split(".");
+    const options = {};
+    for (let i = 0; i < modifiers.length; i++) {
+        MODIFIERS.includes(modifiers[i])
+            ? (options[modifiers[i]] = true)
+            : console.warn(
+                  `[Esor] Unknown event modifier "${modifiers[i]}" in "${name}"`
+              );
+    }
+    return [type, options];
+};
+
+/**
+ * Adds a listener described by a binding value: a handler, or a
+ * `[handler, options]` pair whose options extend the modifiers.
+ *
+ * @param {EventTarget} node - The element.
+ * @param {string} type - The event type.
+ * @param {Function|Array} value - The handler or `[handler, options]`.
+ * @param {AddEventListenerOptions} modifiers - Options from the modifiers.
+ * @returns {Function|undefined} Removes the listener.
+ */
+const listen = (node, type, value, modifiers) => {
+    const [handler, options] = Array.isArray(value)
+        ? [value[0], { ...modifiers, ...value[1] }]
+        : [value, modifiers];
+    if (typeof handler !== "function") return;
+    node.addEventListener(type, handler, options);
+    return () => node.removeEventListener(type, handler, options);
+};
+
+/**
+ * Binds an event listener from a template. Every binding is independent, so
+ * an element can listen to many events, and the listener is removed when the
+ * component (or the dynamic part of the template holding the element) is
+ * disposed.
+ *
+ * The value may be a handler, a `[handler, options]` pair such as
+ * `[onScroll, { passive: true }]`, or a signal holding either of them, in
+ * which case the listener is swapped whenever the signal changes.
+ *
+ * @param {EventTarget} node - The element.
+ * @param {string} name - The event type, optionally followed by modifiers
+ *     (`capture`, `once`, `passive`) separated by dots.
+ * @param {any} value - The handler, see above.
+ */
+const bindEvent = (node, name, value) => {
+    const [type, modifiers] = parseEventName(name);
+    if (isSignal(value)) {
+        effect(() => listen(node, type, value(), modifiers));
+        return;
+    }
+    const remove = listen(node, type, value, modifiers);
+    remove && onCleanup(remove);
+};
+
+export { bindEvent, parseEventName };
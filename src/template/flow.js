@@ -0,0 +1,125 @@
+import { computed, untrack } from "../hooks/reactivity.js";
+import { read } from "./attributes.js";
+
+const NO_MATCH = Symbol("esor.noMatch");
+
+/**
+ * Resolves a branch, untracked so that only the branch selection decides
+ * when the binding runs again: a function is called with the value that
+ * selected it (or an accessor of it), anything else is rendered as it is.
+ *
+ * @param {any} branch - A template (or any value) or a function returning one.
+ * @param {any} [value] - The value that selected the branch, or an accessor.
+ * @returns {any} What to render.
+ */
+const renderBranch = (branch, value) =>
+    untrack(() => (typeof branch === "function" ? branch(value) : branch));
+
+/**
+ * Renders a keyed list. Each row is rendered once, in its own reactive scope,
+ * and receives signals holding its item and its index: when the list
+ * changes, rows are matched by key, kept rows only see these signals update
+ * (so just the bindings reading them run again), moved rows are moved and
+ * removed rows are disposed with their effects.
+ *
+ * @example
+ * html`<ul>
+ *     ${each(todos, (todo) => todo.id, (todo, index) =>
+ *         html`<li>${() => index() + 1}. ${() => todo().title}</li>`
+ *     )}
+ * </ul>`;
+ *
+ * @param {Function|Array} items - A signal (or any function) returning the
+ *     items, or a plain array.
+ * @param {Function} key - Returns the key of an item: `(item, index) => key`.
+ *     It can be omitted, in which case items are their own key.
+ * @param {Function} render - Receives the item and index signals and returns
+ *     the row, usually a template.
+ * @returns {object} A value to interpolate as a child in a template.
+ */
+export const each = (items, key, render) =>
+    render
+        ? { _isEach: true, items, key, render }
+        : { _isEach: true, items, key: (item) => item, render: key };
+
+/**
+ * Renders one of two branches depending on a condition. Unlike
+ * `${() => cond() ? a : b}`, the DOM is only replaced when the condition
+ * switches between truthy and falsy, and the effects of the outgoing branch
+ * are disposed.
+ *
+ * A branch given as a function receives an accessor of the condition's
+ * value, read in its bindings to follow changes between two truthy (or two
+ * falsy) values. In the `then` branch, it keeps returning the last truthy
+ * value while the branch is on its way out.
+ *
+ * @example
+ * html`${when(
+ *     user,
+ *     (u) => html`<p>Hi ${() => u().name}</p>`,
+ *     html`<a>Log in</a>`
+ * )}`;
+ *
+ * @param {any} condition - A signal or getter (or a plain value).
+ * @param {any} then - Rendered when the condition is truthy; a function
+ *     receives an accessor of the condition's value.
+ * @param {any} [otherwise] - Rendered when the condition is falsy; a
+ *     function receives an accessor of the condition's value.
+ * @returns {Function} A value to interpolate in a template.
+ */
+export const when = (condition, then, otherwise) => {
+    const value = computed(() => read(condition));
+    const truthy = computed(() => !!value());
+    let last;
+    const truthyValue = computed(() => {
+        const v = value();
+        return v ? (last = v) : last;
+    });
+    return () =>
+        truthy()
+            ? renderBranch(then, truthyValue)
+            : renderBranch(otherwise, value);
+};
+
+/**
+ * Renders content once and toggles its visibility with a condition instead
+ * of destroying it, so its state and effects survive while hidden. Top-level
+ * elements are hidden with `display: none`.
+ *
+ * @param {any} condition - A signal or getter (or a plain value).
+ * @param {any} content - The content, or a function returning it.
+ * @returns {object} A value to interpolate as a child in a template.
+ */
+export const show = (condition, content) => ({
+    _isShow: true,
+    condition: () => !!read(condition),
+    content: () => renderBranch(content),
+});
+
+/**
+ * Renders the case matching a value, like a `switch`. The DOM is only
+ * replaced when another case is selected, and the effects of the outgoing
+ * case are disposed.
+ *
+ * @example
+ * html`${match(status, {
+ *     loading: html`<p>Loading...</p>`,
+ *     error: () => html`<p>${() => error()}</p>`,
+ * }, html`<p>Done</p>`)}`;
+ *
+ * @param {any} value - A signal or getter (or a plain value).
+ * @param {object} cases - The branches by value; functions receive the value.
+ * @param {any} [fallback] - Rendered when no case matches.
+ * @returns {Function} A value to interpolate in a template.
+ */
+export const match = (value, cases, fallback) => {
+    const selected = computed(() => {
+        const v = read(value);
+        return Object.prototype.hasOwnProperty.call(cases, v) ? v : NO_MATCH;
+    });
+    return () => {
+        const key = selected();
+        const v = untrack(() => read(value));
+        return renderBranch(key === NO_MATCH ? fallback : cases[key], v);
+    };
+};
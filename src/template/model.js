@@ -0,0 +1,99 @@
+import { isSignal } from "../hooks/reactivity.js";
+import { bindEvent } from "./events.js";
+import { bind, setValue } from "./render.js";
+
+/**
+ * Converts the value of a numeric input, `null` when it is empty.
+ *
+ * @param {string} value - The input value.
+ * @returns {number|null}
+ */
+const toNumber = (value) => (value === "" ? null : Number(value));
+
+/**
+ * Describes how an element exposes its value to a `model` binding: the
+ * event signalling a change, how to read the value (given the current one)
+ * and how to write it.
+ *
+ * @param {Element} node - The element.
+ * @returns {{event: string, read: Function, write: Function}}
+ */
+const getModel = (node) => {
+    const { localName, type } = /** @type {any} */ (node);
+    if (localName === "input" && type === "checkbox")
+        // Bound to an array, a checkbox adds or removes its value
+        return {
+            event: "change",
+            read: (current) =>
+                Array.isArray(current)
+                    ? node.checked
+                        ? [...current, node.value]
+                        : current.filter((v) => v !== node.value)
+                    : node.checked,
+            write: (v) =>
+                (node.checked = Array.isArray(v)
+                    ? v.includes(node.value)
+                    : !!v),
+        };
+    if (localName === "input" && type === "radio")
+        return {
+            event: "change",
+            read: () => node.value,
+            write: (v) => (node.checked = String(v) === node.value),
+        };
+    if (localName === "select" && node.multiple)
+        return {
+            event: "change",
+            read: () => Array.from(node.selectedOptions, (o) => o.value),
+            write: (v) => {
+                for (const option of node.options)
+                    option.selected = !!v?.includes(option.value);
+            },
+        };
+    if (localName === "input" && (type === "number" || type === "range"))
+        return {
+            event: "input",
+            read: () => toNumber(node.value),
+            // "1." and "1" are the same number: keep what the user typed
+            write: (v) =>
+                Object.is(toNumber(node.value), v) || setValue(node, v),
+        };
+    if (/^(input|textarea|select)$/.test(localName))
+        return {
+            event: localName === "select" ? "change" : "input",
+            read: () => node.value,
+            write: (v) => setValue(node, v),
+        };
+    return {
+        event: "input",
+        read: () => node.value,
+        write: (v) => (node.value = v),
+    };
+};
+
+/**
+ * Binds a form control to a signal in both directions, e.g.
+ * `<input model=${name}>`. The property and the event depend on the element:
+ * `checked` for checkboxes (or, bound to an array, whether it holds the
+ * checkbox value) and radios, the selected options of multiple selects, a
+ * number (or `null`) for number and range inputs, and `value` otherwise,
+ * updated on `change` for selects and on `input` elsewhere.
+ *
+ * A `form()` field is also marked as touched when the control loses focus.
+ *
+ * @param {Element} node - The element.
+ * @param {Function} model - The signal.
+ */
+const bindModel = (node, model) => {
+    if (!isSignal(model)) {
+        console.warn("[Esor] model expects a signal");
+        return;
+    }
+    const { event, read, write } = getModel(node);
+    bind(() => write(model()));
+    bindEvent(node, event, () => model(read(model.peek())));
+    typeof model.touched === "function" &&
+        bindEvent(node, "blur", () => model.touched(true));
+};
+
+export { bindModel };
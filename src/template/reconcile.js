@@ -1,138 +1,304 @@
-import { renderTemplate } from "./render.js";
+import {
+    createRoot,
+    getOwner,
+    runWithOwner,
+    signal,
+    untrack,
+} from "../hooks/reactivity.js";
+import {
+    applyPendingValue,
+    clearRange,
+    insertValue,
+    renderChild,
+    renderTemplate,
+} from "./render.js";
 
 /**
- * Reconciles the children of a parent DOM node with an array of new templates.
+ * Renders a keyed template in its own scope, so its bindings survive later
+ * updates of the list and are disposed with the item.
  *
- * This function updates the DOM by matching existing keyed nodes with new templates,
- * applying necessary patches, and adding or removing nodes as needed. Existing nodes
- * are reused and updated if they match a template by key, otherwise new nodes are created.
- * Unused nodes are removed from the DOM.
+ * @param {Node} parent - The parent DOM node.
+ * @param {object} template - The template object.
+ * @param {Node} before - The node to insert the item before.
+ * @returns {object} The item: its template, owner, first and last nodes,
+ *     and its `update` and `dispose` functions.
+ */
+const renderItem = (parent, template, before) =>
+    createRoot((dispose) => {
+        const { first, last, update } = renderTemplate(
+            parent,
+            template,
+            before
+        );
+        return {
+            template: template.template,
+            owner: getOwner(),
+            first,
+            last,
+            update,
+            dispose,
+        };
+    });
+
+/**
+ * Moves the nodes of an item before a node. The nodes rendered by the item's
+ * dynamic parts lie between its first and last nodes, so they move too.
  *
- * @param {Node} parent - The parent DOM node whose children will be reconciled.
- * @param {Array} newTemplates - An array of template objects, each containing a `_key`
- *     property for node matching, and other properties necessary for rendering.
+ * @param {Node} parent - The parent DOM node.
+ * @param {object} item - The item.
+ * @param {Node|null} before - The node to move the item before; removes the
+ *     item when null.
  */
-function reconcileArray(parent, newTemplates) {
-    const oldNodesMap = new Map();
-    // Bolt ⚡: Avoid for...of on live HTMLCollection. Use firstElementChild/nextElementSibling
-    let child = parent.firstElementChild;
-    while (child) {
-        if (child._key !== undefined) oldNodesMap.set(child._key, child);
-        child = child.nextElementSibling;
+const moveItem = (parent, item, before) => {
+    let node = item.first;
+    while (node) {
+        const next = node === item.last ? null : node.nextSibling;
+        before ? parent.insertBefore(node, before) : node.remove();
+        node = next;
     }
+};
 
-    const newNodes = [];
-    for (const template of newTemplates) {
-        const key = template._key;
-        let oldNode = oldNodesMap.get(key);
-
-        const tempContainer = document.createElement("div");
-        renderTemplate(tempContainer, template);
-        const newNode = tempContainer.firstElementChild;
-
-        if (oldNode && newNode) {
-            patchNode(oldNode, newNode);
-            newNodes.push(oldNode);
-            oldNodesMap.delete(key);
-        } else if (newNode) {
-            newNode._key = key;
-            newNodes.push(newNode);
+/**
+ * Records the scroll offsets of the top-level elements of the items about to
+ * move, as detaching an element resets them. They are all read before any
+ * move, so the layout is computed once.
+ *
+ * @param {object[]} items - The items.
+ * @returns {Array[]} The `[element, top, left]` of the scrolled elements.
+ */
+const saveScroll = (items) => {
+    const saved = [];
+    for (let i = 0; i < items.length; i++) {
+        const { first, last } = items[i];
+        for (let node = first; node; node = node.nextSibling) {
+            if (node.scrollTop || node.scrollLeft)
+                saved.push([node, node.scrollTop, node.scrollLeft]);
+            if (node === last) break;
         }
     }
+    return saved;
+};
 
-    for (const node of oldNodesMap.values()) {
-        node._cleanup?.();
-        parent.removeChild(node);
-    }
+/**
+ * Runs DOM moves within a parent and gives the focus back to the element
+ * that had it, with its text selection: moving a focused element, or one of
+ * its ancestors, blurs it.
+ *
+ * @param {Node} parent - The parent of the moved nodes.
+ * @param {Function} fn - Moves the nodes.
+ */
+const preserveFocus = (parent, fn) => {
+    const root = parent.getRootNode?.();
+    const active = root?.activeElement;
+    if (!active || !parent.contains(active)) return fn();
+    const { selectionStart, selectionEnd, selectionDirection } = active;
+    fn();
+    if (!active.isConnected || root.activeElement === active) return;
+    active.focus({ preventScroll: true });
+    selectionStart != null &&
+        active.setSelectionRange(
+            selectionStart,
+            selectionEnd,
+            selectionDirection
+        );
+};
 
-    // Bolt ⚡: Avoid indexed access on live HTMLCollection. Use direct pointer traversal
-    let currentChild = parent.firstElementChild;
-    for (let i = 0; i < newNodes.length; i++) {
-        const expectedNode = newNodes[i];
-        if (currentChild !== expectedNode) {
-            parent.insertBefore(expectedNode, currentChild || null);
-            // insertBefore moves expectedNode before currentChild.
-            // currentChild remains the same, next expected node will be checked against it.
-            // But if currentChild was expectedNode, we'd advance currentChild.
-            // Actually, we must track the real DOM position.
-            // After insertBefore, the newly inserted node is where currentChild used to be,
-            // and currentChild is shifted. So the next actual DOM node is currentChild.
-        } else {
-            currentChild = currentChild.nextElementSibling;
+/**
+ * Finds a longest strictly increasing subsequence of an array, ignoring the
+ * `-1` entries. Used to find the largest set of items that keep their
+ * relative order, and thus do not need to move.
+ *
+ * @param {number[]} arr - The old index of each new item, `-1` for new ones.
+ * @returns {boolean[]} Whether each position belongs to the subsequence.
+ */
+const longestIncreasingSubsequence = (arr) => {
+    const tails = [];
+    const prev = new Array(arr.length);
+    for (let i = 0; i < arr.length; i++) {
+        if (arr[i] === -1) continue;
+        let lo = 0,
+            hi = tails.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            arr[tails[mid]] < arr[i] ? (lo = mid + 1) : (hi = mid);
         }
+        prev[i] = lo > 0 ? tails[lo - 1] : -1;
+        tails[lo] = i;
     }
-}
+    const result = new Array(arr.length).fill(false);
+    let i = tails.length ? tails[tails.length - 1] : -1;
+    for (; i !== -1; i = prev[i]) result[i] = true;
+    return result;
+};
 
 /**
- * Patches an existing DOM node with a new node.
+ * Disposes the keyed items rendered before an end marker.
  *
- * This function compares two nodes and updates the old node to match the new node.
- * If both nodes are element nodes with the same tag name, it synchronizes their
- * attributes and children. If they are text nodes, it updates the text content.
- * If the nodes are of different types or have different tag names, the old node
- * is replaced with a clone of the new node.
+ * @param {Node} end - The marker after the list.
+ */
+const disposeItems = (end) => {
+    const items = end._items;
+    if (!items) return;
+    end._items = null;
+    for (let i = 0; i < items.length; i++) items[i].dispose();
+};
+
+/**
+ * Reconciles the keyed items rendered between two markers with a new list of
+ * keys. Matched items are offered for reuse, the others are disposed and
+ * removed; then only the items outside the longest subsequence that kept its
+ * order are moved, and the new items are created in place, so swapping two
+ * rows moves two rows. Moved elements keep their focus, text selection and
+ * scroll offsets.
  *
- * @param {Node} oldNode - The node to be updated.
- * @param {Node} newNode - The node with new properties to update the old node.
+ * @param {Node} start - The marker before the list.
+ * @param {Node} end - The marker after the list.
+ * @param {any[]} keys - The key of each new item.
+ * @param {Function} reuse - `(item, i)`: updates the old item matching the
+ *     key at `i`, returning `false` if it cannot be reused.
+ * @param {Function} create - `(i, before)`: renders the item at `i` before a
+ *     node and returns it.
  */
-function patchNode(oldNode, newNode) {
-    if (
-        oldNode.nodeType === Node.ELEMENT_NODE &&
-        newNode.nodeType === Node.ELEMENT_NODE
-    ) {
-        if (oldNode.tagName !== newNode.tagName) {
-            oldNode.replaceWith(newNode.cloneNode(true));
-            return;
-        }
+const reconcileItems = (start, end, keys, reuse, create) => {
+    const parent = end.parentNode;
+    const oldItems = end._items || [];
+    // Nodes left by a previous render that was not a keyed list
+    end._items || clearRange(start, end);
 
-        // Update attributes
-        const oldAttrs = new Map();
-        // Bolt ⚡: Use indexed loop instead of for...of destructuring on NamedNodeMap to avoid memory allocation overhead
-        for (let i = 0; i < oldNode.attributes.length; i++) {
-            const attr = oldNode.attributes[i];
-            oldAttrs.set(attr.name, attr.value);
-        }
+    const oldIndexByKey = new Map();
+    for (let i = 0; i < oldItems.length; i++)
+        oldIndexByKey.set(oldItems[i].key, i);
 
-        for (let i = 0; i < newNode.attributes.length; i++) {
-            const attr = newNode.attributes[i];
-            if (attr.name === "value" || attr.name === "checked") {
-                if (oldNode[attr.name] !== attr.value) oldNode[attr.name] = attr.value;
-            } else if (oldNode.getAttribute(attr.name) !== attr.value) {
-                oldNode.setAttribute(attr.name, attr.value);
-            }
-            oldAttrs.delete(attr.name);
-        }
+    const length = keys.length;
+    const newItems = new Array(length);
+    const sources = new Array(length);
+    const reused = new Array(oldItems.length).fill(false);
+    for (let i = 0; i < length; i++) {
+        const oldIndex = oldIndexByKey.get(keys[i]) ?? -1;
+        const item = oldItems[oldIndex];
+        if (item && !reused[oldIndex] && reuse(item, i)) {
+            reused[oldIndex] = true;
+            newItems[i] = item;
+            sources[i] = oldIndex;
+        } else sources[i] = -1;
+    }
 
-        for (const name of oldAttrs.keys()) oldNode.removeAttribute(name);
+    for (let i = 0; i < oldItems.length; i++) {
+        if (reused[i]) continue;
+        oldItems[i].dispose();
+        moveItem(parent, oldItems[i], null);
+    }
 
-        // Update children
-        // Bolt ⚡: Avoid Array.from() on live NodeLists. Use firstChild/nextSibling traversal to minimize garbage collection
-        let oldChild = oldNode.firstChild;
-        let newChild = newNode.firstChild;
+    const stable = longestIncreasingSubsequence(sources);
+    const moved = [];
+    for (let i = 0; i < length; i++)
+        sources[i] === -1 || stable[i] || moved.push(newItems[i]);
+    const scrolled = saveScroll(moved);
 
-        while (oldChild || newChild) {
-            if (!oldChild) {
-                oldNode.appendChild(newChild.cloneNode(true));
-                newChild = newChild.nextSibling;
-            } else if (!newChild) {
-                const nextOld = oldChild.nextSibling;
-                oldChild._cleanup?.();
-                oldNode.removeChild(oldChild);
-                oldChild = nextOld;
-            } else {
-                const nextOld = oldChild.nextSibling;
-                patchNode(oldChild, newChild);
-                oldChild = nextOld;
-                newChild = newChild.nextSibling;
-            }
+    // Place items from last to first, each one before the next item
+    preserveFocus(parent, () => {
+        let anchor = end;
+        for (let i = length - 1; i >= 0; i--) {
+            let item = newItems[i];
+            if (sources[i] === -1) {
+                item = newItems[i] = create(i, anchor);
+                item.key = keys[i];
+            } else if (!stable[i]) moveItem(parent, item, anchor);
+            if (item.first) anchor = item.first;
         }
-    } else if (
-        oldNode.nodeType === Node.TEXT_NODE &&
-        newNode.nodeType === Node.TEXT_NODE
-    ) {
-        if (oldNode.textContent !== newNode.textContent)
-            oldNode.textContent = newNode.textContent;
-    } else oldNode.replaceWith(newNode.cloneNode(true));
+    });
+    for (const [node, top, left] of scrolled) {
+        node.scrollTop = top;
+        node.scrollLeft = left;
+    }
+    end._items = newItems;
+    applyPendingValue(parent);
+};
+
+/**
+ * Reconciles the nodes between two markers with an array of keyed templates.
+ *
+ * Items are matched by key. An item rendered from the same template keeps its
+ * nodes and is updated in place: only the bindings whose value changed are
+ * applied again, so unchanged items do no DOM work at all. Items whose key is
+ * gone, or rendered from another template, are disposed and replaced.
+ *
+ * @param {Node} start - The marker before the list.
+ * @param {Node} end - The marker after the list.
+ * @param {Array} newTemplates - An array of template objects, each containing a `_key`
+ *     property for node matching, and other properties necessary for rendering.
+ */
+function reconcileArray(start, end, newTemplates) {
+    const keys = new Array(newTemplates.length);
+    for (let i = 0; i < keys.length; i++) keys[i] = newTemplates[i]._key;
+    reconcileItems(
+        start,
+        end,
+        keys,
+        (item, i) => {
+            const { template, values } = newTemplates[i];
+            if (item.template !== template) return false;
+            runWithOwner(item.owner, () => item.update(values));
+            return true;
+        },
+        (i, before) => renderItem(end.parentNode, newTemplates[i], before)
+    );
+}
+
+/**
+ * Reconciles the nodes between two markers with the items of an `each()`
+ * list. Every row is rendered once, in its own scope, from signals holding
+ * its item and index: a row whose key is kept only has these signals
+ * updated, so just the bindings reading them run again. A row that is not a
+ * template (a function, `when()`...) is rendered between its own markers,
+ * like a value in a child position.
+ *
+ * @param {Node} start - The marker before the list.
+ * @param {Node} end - The marker after the list.
+ * @param {any[]} list - The items.
+ * @param {Function} key - Returns the key of an item.
+ * @param {Function} render - Receives the item and index signals and returns
+ *     the row to render.
+ */
+function reconcileList(start, end, list, key, render) {
+    const keys = new Array(list.length);
+    for (let i = 0; i < keys.length; i++) keys[i] = key(list[i], i);
+    untrack(() =>
+        reconcileItems(
+            start,
+            end,
+            keys,
+            (row, i) => {
+                if (row.render !== render) return false;
+                row.item(list[i]);
+                row.index(i);
+                return true;
+            },
+            (i, before) =>
+                createRoot((dispose) => {
+                    const item = signal(list[i]);
+                    const index = signal(i);
+                    const row = render(item, index);
+                    const fragment = document.createDocumentFragment();
+                    if (row?._isTemplate) insertValue(fragment, row);
+                    else {
+                        // Functions, `when()`, `show()`... render like a
+                        // template child, in their own range
+                        const rowEnd = document.createComment("");
+                        fragment.append(document.createComment(""), rowEnd);
+                        renderChild(fragment.firstChild, rowEnd, row);
+                    }
+                    const { firstChild: first, lastChild: last } = fragment;
+                    end.parentNode.insertBefore(fragment, before);
+                    return { render, item, index, first, last, dispose };
+                })
+        )
+    );
 }
 
-export { reconcileArray };
+export {
+    reconcileArray,
+    reconcileList,
+    disposeItems,
+    longestIncreasingSubsequence,
+};
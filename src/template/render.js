@@ -1,75 +1,497 @@
-import { effect } from "../hooks/reactivity.js";
-import { reconcileArray } from "./reconcile.js";
+import {
+    createRoot,
+    effect,
+    getOwner,
+    onCleanup,
+} from "../hooks/reactivity.js";
+import { notifyUpdate } from "../lifecycle.js";
+import { setFunctionProp } from "../props.js";
+import { disposeItems, reconcileArray, reconcileList } from "./reconcile.js";
+import { bindEvent } from "./events.js";
+import { bindModel } from "./model.js";
+import { bindClass, bindStyle } from "./attributes.js";
 
 const MARKER = "\uFEFF";
+// Name of the `.prop`, `?bool` or `@event` binding a template string ends in
+const BINDING_NAME = /([.?@][^\s"'>/=]+)=["']?[^"'<>=]*$/;
+// Raw text elements cannot hold comments, so values inside keep text markers
+const RAW_TEXT = /^(script|style|textarea|title)$/;
+const TAG_NAME = /\/?([a-zA-Z][^\t\n\f\r />]*)/y;
+// Where the markup of a template stands while it is scanned
+const TEXT = 0;
+const TAG = 1;
+const QUOTED = 2;
+const COMMENT = 3;
+const RAW = 4;
+const FORM_CONTROL = /^(input|textarea|select)$/;
 const cache = new WeakMap();
 
+/**
+ * Advances the scan of template markup through a template string: whether
+ * it stands in text, inside a tag, inside a quoted attribute value, inside a
+ * comment or inside a raw text element, so a `>` in an attribute value such
+ * as `title="a > b"` is not taken for the end of the tag.
+ *
+ * @param {{state: number, quote: string, tag: string, equals: boolean}} scan
+ *     The scan, updated in place.
+ * @param {string} s - The template string.
+ */
+const scanString = (scan, s) => {
+    for (let i = 0; i < s.length; i++) {
+        const c = s[i];
+        if (scan.state === TEXT) {
+            if (c !== "<") continue;
+            if (s.startsWith("!--", i + 1)) {
+                scan.state = COMMENT;
+                i += 3;
+                continue;
+            }
+            TAG_NAME.lastIndex = i + 1;
+            const match = TAG_NAME.exec(s);
+            if (!match) continue;
+            scan.state = TAG;
+            scan.equals = false;
+            // Only a start tag opens a raw text element
+            scan.tag = match[0][0] === "/" ? "" : match[1].toLowerCase();
+            i = TAG_NAME.lastIndex - 1;
+        } else if (scan.state === TAG) {
+            if (c === ">") {
+                scan.state = RAW_TEXT.test(scan.tag) ? RAW : TEXT;
+            } else if (scan.equals && (c === '"' || c === "'")) {
+                scan.state = QUOTED;
+                scan.quote = c;
+            }
+            // A quote only opens a value right after `=`
+            if (c === "=") scan.equals = true;
+            else if (!/[\t\n\f\r ]/.test(c)) scan.equals = false;
+        } else if (scan.state === QUOTED) {
+            if (c === scan.quote) scan.state = TAG;
+        } else if (scan.state === COMMENT) {
+            if (s.startsWith("-->", i)) {
+                scan.state = TEXT;
+                i += 2;
+            }
+        } else if (
+            c === "<" &&
+            s.slice(i + 1, i + 2 + scan.tag.length).toLowerCase() ===
+                `/${scan.tag}`
+        ) {
+            // The end tag
+            scan.state = TAG;
+            scan.tag = "";
+        }
+    }
+};
+
+/**
+ * Joins template strings into markup. Values in a child position are marked
+ * with a comment, so they can render any nodes in place without a wrapper
+ * element (inside a `<table>` or `<ul>` too); values inside tags, comments
+ * and raw text elements are marked with a bare marker character.
+ *
+ * @param {TemplateStringsArray} strings - Template strings.
+ * @returns {string} The markup.
+ */
+const joinStrings = (strings) => {
+    const scan = { state: TEXT, quote: "", tag: "", equals: false };
+    let markup = strings[0];
+    scanString(scan, strings[0]);
+    for (let i = 1; i < strings.length; i++) {
+        const next =
+            (scan.state === TEXT ? `<!--${MARKER}-->` : MARKER) + strings[i];
+        markup += next;
+        scanString(scan, next);
+    }
+    return markup;
+};
+
+/**
+ * Parses the markup of template strings into a `<template>` element, or
+ * returns `null` without a DOM (on the server, see `renderToString`).
+ *
+ * @param {TemplateStringsArray} strings - Template strings.
+ * @returns {HTMLTemplateElement|null} The template element.
+ */
+const createTemplate = (strings) => {
+    if (typeof document === "undefined") return null;
+    const template = document.createElement("template");
+    template.innerHTML = joinStrings(strings);
+    return template;
+};
+
 /**
  * Creates a template object with placeholders replaced by provided values.
  *
  * @param {TemplateStringsArray} strings - Template strings with placeholders.
  * @param {...any} allValues - Values to be inserted into the template.
- * @returns {object} Template object with template, values, _isTemplate, and _key properties.
+ * @returns {object} Template object with template, strings, values, names, _isTemplate, and _key properties.
+ *     `names` holds, for each value, the case-sensitive name of the prefixed
+ *     binding it belongs to, since the HTML parser lowercases attributes.
+ *     Without a DOM, `template` is `null` and only `strings` can be rendered.
  */
 const html = (strings, ...allValues) => {
     let cached = cache.get(strings);
     if (!cached) {
-        const template = document.createElement("template");
-        template.innerHTML = strings.join(MARKER);
         const keyAttrIndex = strings.findIndex((s) =>
             s.trim().endsWith("key=")
         );
-        cached = { template, keyAttrIndex };
+        const names = strings
+            .slice(0, -1)
+            .map((s) => s.match(BINDING_NAME)?.[1]);
+        keyAttrIndex !== -1 && names.splice(keyAttrIndex, 1);
+        cached = { template: null, keyAttrIndex, names };
         cache.set(strings, cached);
     }
-    const { template, keyAttrIndex } = cached;
+    cached.template ||= createTemplate(strings);
+    const { template, keyAttrIndex, names } = cached;
     let key,
         otherValues = [...allValues];
     if (keyAttrIndex !== -1) {
         key = allValues[keyAttrIndex];
         otherValues.splice(keyAttrIndex, 1);
     }
-    return { template, values: otherValues, _isTemplate: true, _key: key };
+    return {
+        template,
+        strings,
+        values: otherValues,
+        names,
+        _isTemplate: true,
+        _key: key,
+    };
+};
+
+/**
+ * Creates the effect behind a reactive binding. Every run after the first one
+ * is a DOM update of the component owning the binding, which triggers its
+ * `beforeUpdate` and `update` hooks.
+ *
+ * @param {Function} fn - Applies the binding to the DOM.
+ */
+const bind = (fn) => {
+    const host = getOwner()?.host;
+    let rendered = false;
+    effect(() => {
+        rendered ? notifyUpdate(host) : (rendered = true);
+        fn();
+    });
+};
+
+/**
+ * Applies a binding value: function values are bound reactively, any other
+ * value is applied once.
+ *
+ * @param {any} value - The binding value.
+ * @param {Function} set - Applies a resolved value to the DOM.
+ */
+const bindValue = (value, set) =>
+    typeof value === "function" ? bind(() => set(value())) : set(value);
+
+/**
+ * Creates a part: the function applying the values of one binding of a
+ * rendered template. A part can be committed again with new values when the
+ * template is updated in place; what the previous values set up (effects,
+ * listeners...) lives in its own scope and is released first.
+ *
+ * @param {Function} apply - Applies the binding's values.
+ * @returns {Function} Commits the binding's values.
+ */
+const createPart = (apply) => {
+    let dispose = null;
+    onCleanup(() => dispose?.());
+    return (values) => {
+        dispose?.();
+        dispose = createRoot((d) => (apply(values), d));
+    };
+};
+
+/**
+ * Inserts a value into a parent DOM node, before a given child.
+ *
+ * - A template object is rendered.
+ * - The items of an array are inserted one after another.
+ * - A DOM node is inserted as it is.
+ * - `null`, `undefined` and `false` insert nothing.
+ * - Anything else is inserted as text.
+ *
+ * @param {Node} parent - The parent DOM node.
+ * @param {any} value - The value to insert.
+ * @param {Node|null} [before=null] - The child to insert before; appends when null.
+ */
+const insertValue = (parent, value, before = null) => {
+    if (value == null || value === false) return;
+    if (value._isTemplate) renderTemplate(parent, value, before);
+    else if (Array.isArray(value)) {
+        for (let i = 0; i < value.length; i++)
+            insertValue(parent, value[i], before);
+    } else if (value instanceof Node) parent.insertBefore(value, before);
+    else parent.insertBefore(document.createTextNode(String(value)), before);
+};
+
+/**
+ * Removes the nodes between two markers.
+ *
+ * @param {Node} start - The start marker.
+ * @param {Node} end - The end marker.
+ */
+const clearRange = (start, end) => {
+    // Bolt ⚡: Pointer traversal, no NodeList allocation
+    let node = start.nextSibling;
+    while (node !== end) {
+        const next = node.nextSibling;
+        node.remove();
+        node = next;
+    }
 };
 
 /**
- * Renders a value into a parent DOM node.
+ * Shows or hides the elements between two comment markers with their inline
+ * `display`, restoring the value they had when shown again.
  *
- * This function will recursively traverse the value, applying the following rules:
- * - If the value is an array of template objects, reconcile the array with the parent.
- * - If the value is a template object, render the template into the parent.
- * - If the value is an array of non-template objects, render each item in the array
- *   into the parent.
- * - If the value is a DOM node, append it to the parent.
- * - If the value is a string or number, create a text node and append it to the parent.
- * - If the value is null, undefined, or false, do nothing.
+ * @param {Comment} start - The start marker.
+ * @param {Comment} end - The end marker.
+ * @param {boolean} visible - Whether to show the elements.
+ */
+const setVisible = (start, end, visible) => {
+    for (let node = start.nextSibling; node !== end; node = node.nextSibling) {
+        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+        if (visible) {
+            if (node._display === undefined) continue;
+            node.style.display = node._display;
+            node._display = undefined;
+        } else if (node._display === undefined) {
+            node._display = node.style.display;
+            node.style.display = "none";
+        }
+    }
+};
+
+/**
+ * Renders a value between two comment markers, replacing what a previous
+ * render left there. Arrays of keyed templates and `each()` lists are
+ * reconciled, a template replacing an instance of the same template updates
+ * it in place, `show()` content is rendered once and toggled, and text
+ * replacing text only updates the existing text node.
  *
- * @param {Node} parent - The parent DOM node that will receive the rendered value.
- * @param {any} value - The value to be rendered.
- * @param {boolean} [shouldClear=true] - Whether to clear the parent before rendering.
+ * @param {Comment} start - The start marker.
+ * @param {Comment} end - The end marker.
+ * @param {any} value - The value to render.
  */
-const renderValue = (parent, value, shouldClear = true) => {
+const renderRange = (start, end, value) => {
+    if (value?._isEach) {
+        const { items, key, render } = value;
+        disposeItems(end);
+        bind(() => {
+            const list = typeof items === "function" ? items() : items;
+            reconcileList(start, end, list || [], key, render);
+        });
+        return;
+    }
+    if (value?._isShow) {
+        disposeItems(end);
+        clearRange(start, end);
+        insertValue(end.parentNode, value.content(), end);
+        applyPendingValue(end.parentNode);
+        bind(() => setVisible(start, end, value.condition()));
+        return;
+    }
+    if (value?._isTemplate) {
+        // A template rendered again is updated in place, so its nodes keep
+        // their state (focus, caret, scroll, typed values)
+        reconcileArray(start, end, [value]);
+        return;
+    }
     if (
         Array.isArray(value) &&
         value.length > 0 &&
         value[0]?._key !== undefined
     ) {
-        reconcileArray(parent, value);
+        reconcileArray(start, end, value);
         return;
     }
-    if (shouldClear && !(parent instanceof DocumentFragment)) {
-        while (parent.firstChild) parent.removeChild(parent.firstChild);
+    const first = start.nextSibling;
+    if (
+        value != null &&
+        typeof value !== "object" &&
+        typeof value !== "boolean" &&
+        first !== end &&
+        first.nodeType === Node.TEXT_NODE &&
+        first.nextSibling === end
+    ) {
+        first.data !== String(value) && (first.data = String(value));
+        return;
     }
-    if (value == null || value === false) return;
-    if (value._isTemplate) renderTemplate(parent, value);
-    else if (Array.isArray(value)) {
-        for (let i = 0; i < value.length; i++) {
-            const tempContainer = document.createDocumentFragment();
-            renderValue(tempContainer, value[i], false);
-            parent.appendChild(tempContainer);
+    disposeItems(end);
+    clearRange(start, end);
+    insertValue(end.parentNode, value, end);
+    applyPendingValue(end.parentNode);
+};
+
+/**
+ * Renders a value between two comment markers as a template renders a value
+ * in a child position: a function value re-renders the range whenever the
+ * signals it reads change, and keyed lists inside are disposed with the
+ * current scope.
+ *
+ * @param {Comment} start - The start marker.
+ * @param {Comment} end - The end marker.
+ * @param {any} value - The value to render.
+ */
+const renderChild = (start, end, value) => {
+    onCleanup(() => disposeItems(end));
+    bindValue(value, (v) => renderRange(start, end, v));
+};
+
+/**
+ * Checks whether a function value bound to an attribute of a custom element
+ * is handed to the element as a prop. Components, defined yet or not, get
+ * every function (their props decide what to do with it, see
+ * `setFunctionProp`); other custom elements get it unless they observe the
+ * attribute, which is then bound reactively.
+ *
+ * @param {Element} node - The custom element.
+ * @param {string} name - The attribute name.
+ * @returns {boolean}
+ */
+const isFunctionProp = (node, name) => {
+    const definition = customElements.get(node.localName);
+    return (
+        !definition ||
+        !!definition.propDefinitions ||
+        !definition.observedAttributes?.includes(name)
+    );
+};
+
+/**
+ * Writes the `value` of a form control without disturbing the user: nothing
+ * is written when the value is the same, so the caret stays in place, and a
+ * focused field keeps its selection when the value does change. A `<select>`
+ * whose option is not rendered yet keeps the value pending until it is (see
+ * `applyPendingValue`).
+ *
+ * @param {Element} node - The `<input>`, `<textarea>` or `<select>`.
+ * @param {any} val - The value; `null` and `undefined` clear it.
+ */
+const setValue = (node, val) => {
+    const value = val == null ? "" : String(val);
+    if (node.value !== value) {
+        const { selectionStart: from, selectionEnd: to } = node;
+        const focused =
+            from != null && node.getRootNode().activeElement === node;
+        node.value = value;
+        focused &&
+            node.setSelectionRange(
+                Math.min(from, value.length),
+                Math.min(to, value.length)
+            );
+    }
+    if (node.localName === "select")
+        node._pendingValue = node.value === value ? undefined : value;
+};
+
+/**
+ * Selects the pending value of a `<select>` once its options are rendered.
+ * Called after rendering into a parent that may be a `<select>` or one of
+ * its `<optgroup>`s.
+ *
+ * @param {Node} parent - The node that received new children.
+ */
+const applyPendingValue = (parent) => {
+    const select = parent.localName === "optgroup" ? parent.parentNode : parent;
+    if (select?._pendingValue !== undefined)
+        setValue(select, select._pendingValue);
+};
+
+/**
+ * Writes a value to an attribute. Form state attributes are set as
+ * properties, and `null`, `undefined` and `false` remove the attribute.
+ *
+ * @param {Element} node - The element.
+ * @param {string} name - The attribute name.
+ * @param {any} val - The value.
+ */
+const setAttribute = (node, name, val) => {
+    if (name === "value" && FORM_CONTROL.test(node.localName))
+        setValue(node, val);
+    else if (["value", "checked", "selected"].includes(name)) node[name] = val;
+    else if (val == null || val === false) node.removeAttribute(name);
+    else node.setAttribute(name, val === true ? "" : val);
+};
+
+/**
+ * Binds a string mixing static text and values, such as the attribute
+ * `class="btn ${variant}"` or the text of a `<textarea>`. The whole string is
+ * rebuilt when any of its function values changes; `null`, `undefined` and
+ * `false` parts render as empty strings.
+ *
+ * @param {string[]} strings - The static text around the values.
+ * @param {any[]} parts - The values, one between each pair of strings.
+ * @param {Function} set - Writes the resulting string.
+ */
+const bindStringParts = (strings, parts, set) => {
+    const update = () => {
+        let value = strings[0];
+        for (let i = 0; i < parts.length; i++) {
+            const part =
+                typeof parts[i] === "function" ? parts[i]() : parts[i];
+            value +=
+                (part == null || part === false ? "" : part) + strings[i + 1];
+        }
+        set(value);
+    };
+    parts.some((p) => typeof p === "function") ? bind(update) : update();
+};
+
+/**
+ * Applies the value of an attribute binding whose value is a single
+ * interpolation, according to its name: `.prop`, `?boolean`, `@event`,
+ * `model`, `ref`, `class`, `style`, `on*` event, function prop of a custom
+ * element or plain attribute.
+ *
+ * @param {Element} node - The element.
+ * @param {string} attrName - The attribute name, as parsed.
+ * @param {string} name - The binding name, with its original case.
+ * @param {any} value - The binding value.
+ */
+const applyAttribute = (node, attrName, name, value) => {
+    const prefix = name[0];
+    if (prefix === ".") {
+        bindValue(value, (v) => (node[name.slice(1)] = v));
+    } else if (prefix === "?") {
+        bindValue(value, (v) => node.toggleAttribute(name.slice(1), !!v));
+    } else if (prefix === "@") {
+        bindEvent(node, name.slice(1), value);
+    } else if (attrName === "model") {
+        bindModel(node, value);
+    } else if (attrName === "ref") {
+        typeof value === "function"
+            ? value(node)
+            : value && typeof value === "object" && (value.current = node);
+    } else if (attrName === "class") {
+        bindClass(node, value);
+    } else if (attrName === "style") {
+        bindStyle(node, value);
+    } else if (
+        typeof value === "function" &&
+        node.tagName?.includes("-") &&
+        isFunctionProp(node, attrName)
+    ) {
+        if (node._propSignals) {
+            // Updated after the element was upgraded
+            const { propDefinitions } = customElements.get(node.localName);
+            setFunctionProp(node, propDefinitions, attrName, value);
+        } else {
+            // Handed over in this binding's scope on upgrade, see
+            // `initializeProps`
+            node._functionProps ||= {};
+            node._functionProps[attrName] = value;
+            node._functionOwners ||= {};
+            node._functionOwners[attrName] = getOwner();
         }
-    } else if (value instanceof Node) parent.appendChild(value);
-    else parent.appendChild(document.createTextNode(String(value)));
+    } else if (attrName.startsWith("on")) {
+        bindEvent(node, attrName.slice(2), value);
+    } else {
+        bindValue(value, (v) => setAttribute(node, attrName, v));
+    }
 };
 
 /**
@@ -79,95 +501,102 @@ const renderValue = (parent, value, shouldClear = true) => {
  * with provided values. It will also call any functions that were passed as values
  * and inject the result into the DOM.
  *
+ * Attributes prefixed with `.` set a DOM property, `?` toggle a boolean
+ * attribute and `@` add an event listener, keeping the name's case. Event
+ * bindings accept modifiers (`@click.once`) and `[handler, options]` values.
+ * `?` and `@` bindings take a single value: mixing text in (`?hidden="a${x}"`)
+ * throws.
+ *
+ * Values in a child position render between two comment markers; function
+ * values re-render that range only when the signals they read change.
+ *
+ * Every binding becomes a part, so the rendered template can later be updated
+ * in place with new values (see `reconcileArray`): only the parts whose value
+ * changed are applied again.
+ *
  * @param {Node} parent - The parent DOM node that will receive the rendered template.
  * @param {object} templateObject - An object with `template` and `values` properties.
  *     The `template` property should be a template element, and the `values` property
  *     should be an array of values to be inserted into the template.
+ * @param {Node|null} [before=null] - The child of `parent` to insert before.
+ * @returns {{first: Node|null, last: Node|null, update: Function}} The first
+ *     and last top-level nodes of the rendered template, and a function
+ *     updating it with the values of a new template object.
  */
-const renderTemplate = (parent, { template, values }) => {
+const renderTemplate = (
+    parent,
+    { template, values, names = [] },
+    before = null
+) => {
     const content = template.content.cloneNode(true);
+    const parts = [];
     let valueIndex = 0;
 
+    // Creates the part of the next `count` values and applies them
+    const addPart = (count, apply) => {
+        const index = valueIndex;
+        const commit = createPart(apply);
+        valueIndex += count;
+        parts.push({ index, count, commit });
+        commit(values.slice(index, valueIndex));
+    };
+
     const processNode = (node) => {
-        if (
+        if (node.nodeType === Node.COMMENT_NODE && node.data === MARKER) {
+            // The marker becomes the end of the range
+            const start = document.createComment("");
+            start._end = node;
+            node.data = "";
+            node.parentNode.insertBefore(start, node);
+            onCleanup(() => disposeItems(node));
+            addPart(1, ([value]) =>
+                bindValue(value, (v) => renderRange(start, node, v))
+            );
+        } else if (
             node.nodeType === Node.TEXT_NODE &&
             node.nodeValue.includes(MARKER)
         ) {
-            const parts = node.nodeValue.split(MARKER);
-            const fragment = document.createDocumentFragment();
-            for (let i = 0; i < parts.length; i++) {
-                if (i > 0) {
-                    const value = values[valueIndex++];
-                    if (typeof value === "function") {
-                        const placeholder = document.createElement("span");
-                        fragment.appendChild(placeholder);
-                        effect(() => renderValue(placeholder, value()));
-                    } else {
-                        renderValue(fragment, value, false);
-                    }
-                }
-                if (parts[i])
-                    fragment.appendChild(document.createTextNode(parts[i]));
-            }
-            node.parentNode.replaceChild(fragment, node);
+            // Inside raw text elements, like `<textarea>` or `<style>`
+            const strings = node.nodeValue.split(MARKER);
+            const textarea = node.parentNode.localName === "textarea";
+            addPart(strings.length - 1, (parts) =>
+                bindStringParts(strings, parts, (v) => {
+                    node.nodeValue = v;
+                    // Once edited, a textarea no longer follows its text
+                    textarea && setValue(node.parentNode, v);
+                })
+            );
         } else if (node.nodeType === Node.ELEMENT_NODE) {
             const attrs = [];
             for (let i = 0; i < node.attributes.length; i++) {
                 const attr = node.attributes[i];
-                if (attr.name !== "key" && attr.value === MARKER)
+                if (attr.name !== "key" && attr.value.includes(MARKER))
                     attrs.push(attr);
             }
             for (let i = 0; i < attrs.length; i++) {
                 const attr = attrs[i];
-                const value = values[valueIndex++];
+                const strings = attr.value.split(MARKER);
+                const original = names[valueIndex];
+                const name =
+                    original?.toLowerCase() === attr.name ? original : attr.name;
+                const prefix = name[0];
                 node.removeAttribute(attr.name);
-
-                if (attr.name === "ref") {
-                    typeof value === "function"
-                        ? value(node)
-                        : value &&
-                          typeof value === "object" &&
-                          (value.current = node);
-                } else if (
-                    attr.name === "style" &&
-                    typeof value === "object" &&
-                    value !== null
-                ) {
-                    typeof value === "function"
-                        ? effect(() => Object.assign(node.style, value()))
-                        : Object.assign(node.style, value);
-                } else if (
-                    typeof value === "function" &&
-                    node.tagName?.includes("-")
-                ) {
-                    node._functionProps ||= {};
-                    node._functionProps[attr.name] = value;
-                } else if (attr.name.startsWith("on")) {
-                    const eventName = attr.name.slice(2).toLowerCase();
-                    if (typeof value === "function") {
-                        if (node._cleanup)
-                            node._cleanup(), (node._cleanup = null);
-                        node.addEventListener(eventName, value);
-                        node._cleanup = () =>
-                            node.removeEventListener(eventName, value);
-                    }
-                } else {
-                    const setAttribute = (val) => {
-                        if (
-                            ["value", "checked", "selected"].includes(attr.name)
+                if (attr.value !== MARKER) {
+                    if (prefix === "?" || prefix === "@")
+                        throw new Error(
+                            `[Esor] ${name} takes a single value, not text mixed with values`
+                        );
+                    addPart(strings.length - 1, (parts) =>
+                        bindStringParts(strings, parts, (v) =>
+                            prefix === "."
+                                ? (node[name.slice(1)] = v)
+                                : setAttribute(node, name, v)
                         )
-                            node[attr.name] = val;
-                        else if (val == null || val === false)
-                            node.removeAttribute(attr.name);
-                        else
-                            node.setAttribute(
-                                attr.name,
-                                val === true ? "" : val
-                            );
-                    };
-                    typeof value === "function"
-                        ? effect(() => setAttribute(value()))
-                        : setAttribute(value);
+                    );
+                } else {
+                    addPart(1, ([value]) =>
+                        applyAttribute(node, attr.name, name, value)
+                    );
                 }
             }
             node.hasAttribute("key") && node.removeAttribute("key");
@@ -175,7 +604,7 @@ const renderTemplate = (parent, { template, values }) => {
             // Bolt ⚡: Avoid indexed loops on live NodeLists
             let child = node.firstChild;
             while (child) {
-                // processNode might modify the DOM (e.g. replacing a text node with a fragment)
+                // processNode might modify the DOM (e.g. inserting a marker)
                 // so we need to capture the next sibling before processing
                 const next = child.nextSibling;
                 processNode(child);
@@ -193,7 +622,31 @@ const renderTemplate = (parent, { template, values }) => {
         child = next;
     }
 
-    parent.appendChild(content);
+    const update = (newValues) => {
+        for (let i = 0; i < parts.length; i++) {
+            const { index, count, commit } = parts[i];
+            for (let j = index; j < index + count; j++) {
+                if (Object.is(values[j], newValues[j])) continue;
+                commit(newValues.slice(index, index + count));
+                break;
+            }
+        }
+        values = newValues;
+    };
+    const { firstChild: first, lastChild: last } = content;
+    parent.insertBefore(content, before);
+    return { first, last, update };
 };
 
-export { renderTemplate, html };
+export {
+    renderTemplate,
+    html,
+    clearRange,
+    insertValue,
+    applyPendingValue,
+    setValue,
+    bind,
+    renderChild,
+    joinStrings,
+    MARKER,
+};
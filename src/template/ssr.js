@@ -0,0 +1,546 @@
+import { createRoot, getOwner, signal } from "../hooks/reactivity.js";
+import { createLifecycle } from "../lifecycle.js";
+import { getDefinition } from "../component.js";
+import {
+    initializeProps,
+    normalizeProps,
+    warnMissingProps,
+} from "../props.js";
+import { normalizeStyles } from "../utils/styles.js";
+import { joinStrings, MARKER } from "./render.js";
+import { collectClasses, collectStyles, read } from "./attributes.js";
+
+const CHILD = `<!--${MARKER}-->`;
+// HTML whitespace: `\s` would match the marker too
+const OPEN_TAG = /<([a-zA-Z][^\t\n\f\r />]*)/y;
+const CLOSE_TAG = /<\/([a-zA-Z][^\t\n\f\r />]*)[\t\n\f\r ]*>/y;
+const ATTRIBUTE =
+    /[\t\n\f\r ]*([^\t\n\f\r "'>/=]+)(?:[\t\n\f\r ]*=[\t\n\f\r ]*(?:"([^"]*)"|'([^']*)'|([^\t\n\f\r "'>]+)))?/y;
+const TAG_END = /[\t\n\f\r ]*(\/?)>/y;
+const RAW_TEXT = /^(script|style|textarea|title)$/;
+const ESCAPED = /[&<>"']/g;
+const ENTITIES = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+};
+const ENTITY = /&(amp|lt|gt|quot|#39);/g;
+const CHARACTERS = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" };
+const VOID_ELEMENTS =
+    /^(area|base|br|col|embed|hr|img|input|link|meta|source|track|wbr)$/;
+const tokensCache = new WeakMap();
+// Components being rendered, the innermost last: the ancestors of the next
+// one, so context requests can reach their providers
+const ancestors = [];
+
+/**
+ * Escapes text for HTML content and attribute values.
+ *
+ * @param {any} value - The value.
+ * @returns {string} The escaped text.
+ */
+const escape = (value) => String(value).replace(ESCAPED, (c) => ENTITIES[c]);
+
+/**
+ * Reverses `escape`, for attribute values handed to a component as props.
+ *
+ * @param {string} text - The escaped text.
+ * @returns {string} The text.
+ */
+const unescape = (text) => text.replace(ENTITY, (_, name) => CHARACTERS[name]);
+
+/**
+ * Splits the markup of template strings into tokens: static text (kept as it
+ * was written), child values, the text of raw text elements holding values,
+ * start tags with their attributes and end tags. Markup is not validated: it
+ * is what the browser would parse.
+ *
+ * @param {string} markup - The markup, see `joinStrings`.
+ * @returns {Array<string|object>} The tokens.
+ */
+const tokenize = (markup) => {
+    const tokens = [];
+    const lower = markup.toLowerCase();
+    let text = "";
+    let i = 0;
+    const flush = () => (text && tokens.push(text), (text = ""));
+    // Matches a sticky pattern at the current position
+    const at = (pattern) => ((pattern.lastIndex = i), pattern.exec(markup));
+
+    while (i < markup.length) {
+        const lt = markup.indexOf("<", i);
+        if (lt === -1) {
+            text += markup.slice(i);
+            break;
+        }
+        text += markup.slice(i, lt);
+        i = lt;
+        let match;
+        if (markup.startsWith(CHILD, i)) {
+            flush();
+            tokens.push({ type: "child" });
+            i += CHILD.length;
+        } else if (markup.startsWith("<!--", i)) {
+            const end = markup.indexOf("-->", i + 4);
+            const stop = end === -1 ? markup.length : end + 3;
+            text += markup.slice(i, stop);
+            i = stop;
+        } else if ((match = at(CLOSE_TAG))) {
+            flush();
+            tokens.push({
+                type: "close",
+                tag: match[1],
+                name: match[1].toLowerCase(),
+            });
+            i = CLOSE_TAG.lastIndex;
+        } else if ((match = at(OPEN_TAG))) {
+            flush();
+            const token = {
+                type: "open",
+                tag: match[1],
+                name: match[1].toLowerCase(),
+                attrs: [],
+                selfClosing: false,
+            };
+            i = OPEN_TAG.lastIndex;
+            while (i < markup.length && !(match = at(TAG_END))) {
+                const attr = at(ATTRIBUTE);
+                if (!attr) {
+                    i++;
+                    continue;
+                }
+                const value = attr[2] ?? attr[3] ?? attr[4] ?? null;
+                const strings = value?.includes(MARKER)
+                    ? value.split(MARKER)
+                    : null;
+                token.attrs.push({ name: attr[1], value, strings });
+                i = ATTRIBUTE.lastIndex;
+            }
+            if (match) {
+                token.selfClosing = match[1] === "/";
+                i = TAG_END.lastIndex;
+            }
+            tokens.push(token);
+            if (!RAW_TEXT.test(token.name)) continue;
+            const end = lower.indexOf(`</${token.name}`, i);
+            const content = markup.slice(i, end === -1 ? markup.length : end);
+            content.includes(MARKER)
+                ? tokens.push({ type: "raw", strings: content.split(MARKER) })
+                : (text += content);
+            i += content.length;
+        } else {
+            text += "<";
+            i++;
+        }
+    }
+    flush();
+    return tokens;
+};
+
+/**
+ * Returns the tokens of template strings, tokenized once.
+ *
+ * @param {TemplateStringsArray} strings - Template strings.
+ * @returns {Array<string|object>} The tokens.
+ */
+const getTokens = (strings) => {
+    let tokens = tokensCache.get(strings);
+    if (!tokens) {
+        tokens = tokenize(joinStrings(strings));
+        tokensCache.set(strings, tokens);
+    }
+    return tokens;
+};
+
+/**
+ * Serializes the attributes of a start tag, applying their bindings like the
+ * browser renderer does: `?bool` attributes, `class` and `style` objects and
+ * `model` values are written, event, `ref` and `.prop` bindings are left
+ * out. For a component, it also collects what its host receives:
+ * attributes, `.prop` values and function props.
+ *
+ * @param {object} token - The start tag token.
+ * @param {Function} next - Returns the next value of the template.
+ * @param {object} [host] - Receives `attributes`, `properties` and
+ *     `functionProps` of a component.
+ * @param {Map<string, object>} [defs] - The declared props of the component.
+ * @returns {Array<[string, string|null]>} The attributes, with their escaped
+ *     value or `null` for an attribute without a value.
+ */
+const renderAttributes = (token, next, host, defs) => {
+    const attrs = [];
+    for (const { name, value, strings } of token.attrs) {
+        const attrName = name.toLowerCase();
+        // `key` values were taken out of the template values
+        if (attrName === "key") continue;
+        const prefix = name[0];
+        if (!strings) {
+            attrs.push([name, value?.replace(/"/g, "&quot;") ?? null]);
+        } else if (value !== MARKER) {
+            if (prefix === "?" || prefix === "@")
+                throw new Error(
+                    `[Esor] ${name} takes a single value, not text mixed with values`
+                );
+            let text = strings[0].replace(/"/g, "&quot;");
+            for (let i = 1; i < strings.length; i++) {
+                const part = read(next());
+                text +=
+                    escape(part == null || part === false ? "" : part) +
+                    strings[i].replace(/"/g, "&quot;");
+            }
+            if (prefix !== ".") attrs.push([name, text]);
+            else if (host) host.properties[name.slice(1)] = unescape(text);
+        } else {
+            const v = next();
+            if (prefix === ".") {
+                if (host) host.properties[name.slice(1)] = read(v);
+            } else if (prefix === "?") {
+                read(v) && attrs.push([name.slice(1), null]);
+            } else if (prefix === "@" || attrName === "ref") {
+                continue;
+            } else if (attrName === "model") {
+                const model = renderModel(token, read(v));
+                model && attrs.push(model);
+            } else if (attrName === "class") {
+                const names = new Set();
+                collectClasses(v, names);
+                names.size && attrs.push([name, escape([...names].join(" "))]);
+            } else if (attrName === "style") {
+                const style = read(v);
+                const declarations = new Map();
+                typeof style === "string" || collectStyles(style, declarations);
+                const text =
+                    typeof style === "string"
+                        ? style
+                        : [...declarations]
+                              .map(([property, v]) => `${property}: ${v}`)
+                              .join("; ");
+                text && attrs.push([name, escape(text)]);
+            } else if (
+                typeof v === "function" &&
+                token.name.includes("-") &&
+                (!defs?.has(attrName) || defs.get(attrName).type === Function)
+            ) {
+                if (host) host.functionProps[attrName] = v;
+            } else if (!attrName.startsWith("on")) {
+                const resolved = read(v);
+                resolved == null ||
+                    resolved === false ||
+                    attrs.push([
+                        name,
+                        resolved === true ? null : escape(resolved),
+                    ]);
+            }
+        }
+    }
+    if (host)
+        host.attributes = attrs.map(([name, value]) => ({
+            name: name.toLowerCase(),
+            value: value === null ? "" : unescape(value),
+        }));
+    return attrs;
+};
+
+/**
+ * Serializes the value of a `model` binding as the attribute showing it:
+ * `checked` for checkboxes and radio buttons, `value` for other inputs.
+ * Other elements show their value with their content, which a binding does
+ * not render.
+ *
+ * @param {object} token - The start tag token.
+ * @param {any} v - The model value.
+ * @returns {[string, string|null]|undefined} The attribute.
+ */
+const renderModel = (token, v) => {
+    if (token.name !== "input") return;
+    const attr = (name) =>
+        token.attrs.find((a) => a.name.toLowerCase() === name)?.value;
+    const type = attr("type")?.toLowerCase();
+    const value = attr("value") ?? "on";
+    if (type === "checkbox")
+        return (Array.isArray(v) ? v.includes(value) : v)
+            ? ["checked", null]
+            : undefined;
+    if (type === "radio")
+        return String(v) === value ? ["checked", null] : undefined;
+    return v == null ? undefined : ["value", escape(v)];
+};
+
+/**
+ * Creates the stand-in of a component host on the server: its props come
+ * from its attributes, `.prop` bindings and function props, as in the
+ * browser; events dispatched on it reach the listeners of its ancestors
+ * (`provide` answers `inject` this way) and attribute writes are ignored.
+ *
+ * @param {string} tagName - The tag name, in lowercase.
+ * @param {object} bindings - What the host receives, see `renderAttributes`.
+ * @param {object} options - The component options.
+ * @returns {object} The host.
+ */
+const createHost = (tagName, bindings, options) => {
+    const { attributes, properties, functionProps } = bindings;
+    const host = {
+        ...properties,
+        localName: tagName,
+        tagName: tagName.toUpperCase(),
+        attributes,
+        childNodes: [],
+        props: Object.create(null),
+        _functionProps: functionProps,
+        _parent: ancestors[ancestors.length - 1],
+        _listeners: [],
+        getAttribute: (name) =>
+            attributes.find((a) => a.name === name)?.value ?? null,
+        hasAttribute: (name) => attributes.some((a) => a.name === name),
+        setAttribute() {},
+        removeAttribute() {},
+        toggleAttribute() {},
+        addEventListener: (type, fn) => host._listeners.push([type, fn]),
+        removeEventListener: (type, fn) =>
+            (host._listeners = host._listeners.filter(
+                ([t, f]) => t !== type || f !== fn
+            )),
+        dispatchEvent: (event) => {
+            let stopped = false;
+            event.stopPropagation = () => (stopped = true);
+            for (let h = host; h && !stopped; h = event.bubbles && h._parent)
+                for (const [type, fn] of h._listeners)
+                    type === event.type && !stopped && fn.call(h, event);
+            return !event.defaultPrevented;
+        },
+    };
+    if (options.formAssociated) {
+        host._internals = {
+            form: null,
+            states: new Set(),
+            setFormValue() {},
+            setValidity() {},
+            checkValidity: () => true,
+            reportValidity: () => true,
+        };
+        host._formDisabled = signal(false);
+    }
+    return host;
+};
+
+/**
+ * Runs the setup of a component and serializes its shadow root as a
+ * declarative shadow root, with its `styles`. Lifecycle hooks do not run,
+ * and the effects created during setup are disposed once rendered.
+ *
+ * @param {object} definition - The setup and options of the component.
+ * @param {object} host - The host, see `createHost`.
+ * @returns {string} The `<template shadowrootmode>` element.
+ */
+const renderShadowRoot = ({ setup, options }, host) => {
+    let content = "";
+    for (const { cssText } of normalizeStyles(options.styles))
+        content += `<style>${cssText}</style>`;
+    ancestors.push(host);
+    try {
+        createRoot((dispose) => {
+            try {
+                getOwner().host = host;
+                createLifecycle(host);
+                const defs = normalizeProps(options.props);
+                initializeProps(host, defs);
+                warnMissingProps(host, defs);
+                content += renderValue(setup?.call(host, host.props));
+            } finally {
+                dispose();
+            }
+        });
+    } finally {
+        ancestors.pop();
+    }
+    const mode = options.shadowMode || "open";
+    return `<template shadowrootmode="${mode}">${content}</template>`;
+};
+
+/**
+ * Adds `display: none` to the inline style of an element.
+ *
+ * @param {Array<[string, string|null]>} attrs - Its attributes, see
+ *     `renderAttributes`.
+ */
+const hide = (attrs) => {
+    const style = attrs.find(([name]) => name.toLowerCase() === "style");
+    if (!style) attrs.push(["style", "display: none"]);
+    else {
+        const text = style[1]?.replace(/;?\s*$/, "");
+        style[1] = text ? `${text}; display: none` : "display: none";
+    }
+};
+
+/**
+ * Serializes the text of a raw text element holding values. Values are
+ * escaped, except in `<script>` and `<style>`, where only end tags are.
+ *
+ * @param {string} element - The element name.
+ * @param {string[]} strings - The static text around the values.
+ * @param {Function} next - Returns the next value of the template.
+ * @returns {string} The text.
+ */
+const renderRawText = (element, strings, next) => {
+    const code = element === "script" || element === "style";
+    let text = strings[0];
+    for (let i = 1; i < strings.length; i++) {
+        const part = read(next());
+        const value = part == null || part === false ? "" : String(part);
+        text +=
+            (code ? value.replace(/<\//g, "<\\/") : escape(value)) +
+            strings[i];
+    }
+    return text;
+};
+
+/**
+ * Serializes a start tag. An Esor component is set up and its shadow root
+ * written right after it.
+ *
+ * @param {object} token - The start tag token.
+ * @param {Function} next - Returns the next value of the template.
+ * @param {boolean} hidden - Whether the element is hidden.
+ * @returns {{html: string, host: object|null}} The HTML, and the host of a
+ *     component.
+ */
+const renderStartTag = (token, next, hidden) => {
+    const definition = getDefinition(token.name);
+    const options = definition?.options;
+    const shadow = !!definition && options.shadow !== false;
+    const bindings = shadow && {
+        properties: {},
+        functionProps: {},
+        attributes: [],
+    };
+    const defs = definition && normalizeProps(options.props);
+    const attrs = renderAttributes(token, next, bindings, defs);
+    hidden && hide(attrs);
+    let html = `<${token.tag}`;
+    for (const [name, value] of attrs)
+        html += value === null ? ` ${name}` : ` ${name}="${value}"`;
+    html += token.selfClosing ? "/>" : ">";
+    if (!shadow) return { html, host: null };
+    const host = createHost(token.name, bindings, options);
+    return { html: html + renderShadowRoot(definition, host), host };
+};
+
+/**
+ * Serializes a template object. Esor components get their shadow root right
+ * after their start tag, and their children, as written, after it.
+ *
+ * @param {object} templateObject - A template object created by `html`.
+ * @param {boolean} hidden - Whether top-level elements are hidden, as in a
+ *     hidden `show()`.
+ * @returns {string} The HTML.
+ */
+const renderTemplateToString = ({ strings, values }, hidden) => {
+    const tokens = getTokens(strings);
+    let index = 0;
+    const next = () => values[index++];
+    let out = "";
+    let depth = 0;
+    // Components opened by this template, to leave on their end tag
+    const opened = [];
+
+    for (let t = 0; t < tokens.length; t++) {
+        const token = tokens[t];
+        if (typeof token === "string") out += token;
+        else if (token.type === "child") {
+            out += renderValue(next(), hidden && depth === 0);
+        } else if (token.type === "raw") {
+            out += renderRawText(tokens[t - 1].name, token.strings, next);
+        } else if (token.type === "close") {
+            depth--;
+            out += `</${token.tag}>`;
+            if (opened[opened.length - 1] === token.name) {
+                opened.pop();
+                ancestors.pop();
+            }
+        } else {
+            const { html, host } = renderStartTag(
+                token,
+                next,
+                hidden && depth === 0
+            );
+            out += html;
+            if (!token.selfClosing && !VOID_ELEMENTS.test(token.name)) depth++;
+            if (host) {
+                // Its children are rendered with it as their ancestor
+                opened.push(token.name);
+                ancestors.push(host);
+            }
+        }
+    }
+    for (let i = 0; i < opened.length; i++) ancestors.pop();
+    return out;
+};
+
+/**
+ * Serializes any value a template can render in a child position, reading
+ * signals and getters once.
+ *
+ * @param {any} value - The value.
+ * @param {boolean} [hidden=false] - Whether top-level elements are hidden.
+ * @returns {string} The HTML.
+ */
+const renderValue = (value, hidden = false) => {
+    if (value == null || value === false) return "";
+    if (typeof value === "function") return renderValue(value(), hidden);
+    if (value._isEach) {
+        const list = read(value.items) || [];
+        let out = "";
+        for (let i = 0; i < list.length; i++)
+            out += renderValue(
+                value.render(signal(list[i]), signal(i)),
+                hidden
+            );
+        return out;
+    }
+    if (value._isShow)
+        return renderValue(value.content(), hidden || !value.condition());
+    if (value._isTemplate) return renderTemplateToString(value, hidden);
+    if (Array.isArray(value)) {
+        let out = "";
+        for (let i = 0; i < value.length; i++)
+            out += renderValue(value[i], hidden);
+        return out;
+    }
+    return escape(value);
+};
+
+/**
+ * Renders a template to an HTML string, without a DOM, so pages can be sent
+ * rendered by the server. Signals and getters are read once, `each()`,
+ * `when()`, `show()` and `match()` render their current content and event,
+ * `ref` and `.prop` bindings are left out.
+ *
+ * Every Esor component in it is set up with the props of its attributes and
+ * bindings, and its shadow root is written as a declarative shadow root
+ * (`<template shadowrootmode="open">`), so it is displayed before JavaScript
+ * loads; once defined, the component renders it again. Lifecycle hooks do
+ * not run on the server, and light DOM components (`shadow: false`) render
+ * in the browser only.
+ *
+ * @example
+ * component("my-counter", (props) => html`<p>${props.count}</p>`);
+ * renderToString(html`<my-counter count="3"></my-counter>`);
+ * // <my-counter count="3"><template shadowrootmode="open">
+ * //     <p>3</p>
+ * // </template></my-counter> (without the line breaks)
+ *
+ * @param {any} value - A template, or any value a template can render.
+ * @returns {string} The HTML.
+ */
+const renderToString = (value) =>
+    createRoot((dispose) => {
+        try {
+            return renderValue(value);
+        } finally {
+            dispose();
+        }
+    });
+
+export { renderToString };
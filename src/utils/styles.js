@@ -0,0 +1,232 @@
+import { s } from "./dom.js";
+
+const sheets = new WeakMap();
+const fromStrings = new Map();
+// Shadow roots adopting the document styles, with their own sheets
+const liveRoots = new Map();
+const warned = new WeakSet();
+// The styles already added to each document or shadow root, without sheets
+const rootStyles = new WeakMap();
+let documentSheets = null;
+let observer = null;
+
+/**
+ * Whether shadow roots can adopt constructable stylesheets.
+ *
+ * @returns {boolean}
+ */
+const canAdoptSheets = () =>
+    typeof CSSStyleSheet !== "undefined" &&
+    typeof ShadowRoot !== "undefined" &&
+    "replaceSync" in CSSStyleSheet.prototype &&
+    "adoptedStyleSheets" in ShadowRoot.prototype;
+
+/**
+ * Converts an interpolated value to CSS text: `css` results are nested,
+ * anything else is converted to a string.
+ *
+ * @param {any} value - The value.
+ * @returns {string}
+ */
+const toCssText = (value) => (value?._isCss ? value.cssText : String(value));
+
+/**
+ * Creates styles for components, shared by all their instances: the
+ * stylesheet is built once, on first use, and adopted by every shadow root
+ * (see the `styles` option of `component`). Other `css` results can be
+ * interpolated to compose styles.
+ *
+ * @example
+ * const button = css`button { color: ${color}; }`;
+ * component("x-toolbar", setup, {
+ *     styles: [button, css`:host { display: flex; }`],
+ * });
+ *
+ * @param {TemplateStringsArray} strings - The static CSS.
+ * @param {...any} values - The interpolated values.
+ * @returns {{_isCss: true, cssText: string}} The styles.
+ */
+const css = (strings, ...values) => ({
+    _isCss: true,
+    cssText: strings.reduce(
+        (text, string, i) => text + toCssText(values[i - 1]) + string
+    ),
+});
+
+/**
+ * Normalizes the `styles` option of a component into a flat list of `css`
+ * results. Strings are converted once, so equal strings share a sheet.
+ *
+ * @param {any} styles - A `css` result, a string, or a (nested) array of them.
+ * @returns {object[]} The styles.
+ */
+const normalizeStyles = (styles) =>
+    [styles]
+        .flat(Infinity)
+        .filter(Boolean)
+        .map((style) => {
+            if (typeof style !== "string") return style;
+            fromStrings.has(style) || fromStrings.set(style, css([style]));
+            return fromStrings.get(style);
+        });
+
+/**
+ * Returns the constructable stylesheet of some styles, building it on first
+ * use.
+ *
+ * @param {object} style - A `css` result.
+ * @returns {CSSStyleSheet} The shared sheet.
+ */
+const getSheet = (style) => {
+    let sheet = sheets.get(style);
+    if (!sheet) {
+        sheet = new CSSStyleSheet();
+        sheet.replaceSync(style.cssText);
+        sheets.set(style, sheet);
+    }
+    return sheet;
+};
+
+/**
+ * Copies a `<style>` or `<link>` of the document into a constructable
+ * stylesheet. Returns `null` for links still loading, adopted once they
+ * load, and for cross-origin sheets, whose rules cannot be read.
+ *
+ * @param {HTMLStyleElement|HTMLLinkElement} node - The style node.
+ * @returns {CSSStyleSheet|null} The copy.
+ */
+const copySheet = (node) => {
+    let rules;
+    try {
+        rules = node.sheet?.cssRules;
+    } catch {
+        warned.has(node) ||
+            console.warn(
+                `[Esor] Cannot adopt the cross-origin stylesheet "${node.href}"`
+            );
+        warned.add(node);
+        return null;
+    }
+    if (!rules) return null;
+    const sheet = new CSSStyleSheet({ media: node.sheet.media.mediaText });
+    sheet.replaceSync(Array.from(rules, (rule) => rule.cssText).join("\n"));
+    return sheet;
+};
+
+/**
+ * Adopts the document styles, followed by its own, in a shadow root.
+ *
+ * @param {ShadowRoot} root - The shadow root.
+ * @param {CSSStyleSheet[]} own - The sheets of the component.
+ */
+const adoptDocumentSheets = (root, own) => {
+    if (!documentSheets) {
+        documentSheets = [];
+        for (const node of s()) {
+            const sheet = copySheet(node);
+            sheet && documentSheets.push(sheet);
+        }
+    }
+    root.adoptedStyleSheets = [...documentSheets, ...own];
+};
+
+/**
+ * Starts watching the document head, so the roots adopting its styles
+ * follow the styles added, edited, removed or loaded later.
+ */
+const watchDocumentStyles = () => {
+    if (observer) return;
+    const refresh = () => {
+        documentSheets = null;
+        liveRoots.forEach((own, root) => adoptDocumentSheets(root, own));
+    };
+    observer = new MutationObserver(refresh);
+    observer.observe(document.head, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+    });
+    // Load events do not bubble, but can be captured
+    document.head.addEventListener("load", refresh, true);
+};
+
+/**
+ * Applies the styles of a component to its shadow root.
+ *
+ * Its own styles are adopted as shared constructable stylesheets, or copied
+ * into `<style>` elements where shadow roots cannot adopt sheets. The
+ * `globalStyles` option copies the styles of the document head as well:
+ * `true` clones its `<style>` and `<link>` elements, while `"adopt"` adopts
+ * them as sheets kept up to date with the head (until `releaseStyles`).
+ *
+ * @param {ShadowRoot} root - The shadow root.
+ * @param {object[]} styles - The normalized styles, see `normalizeStyles`.
+ * @param {boolean|"adopt"} [globalStyles] - Whether to include the document
+ *     styles, and how.
+ */
+const applyStyles = (root, styles, globalStyles) => {
+    const adopt = canAdoptSheets();
+    if (globalStyles === "adopt" && adopt) {
+        const own = styles.map(getSheet);
+        liveRoots.set(root, own);
+        watchDocumentStyles();
+        adoptDocumentSheets(root, own);
+        return;
+    }
+    globalStyles &&
+        s().forEach((node) => root.appendChild(node.cloneNode(true)));
+    if (!styles.length) return;
+    if (adopt) {
+        root.adoptedStyleSheets = styles.map(getSheet);
+        return;
+    }
+    for (const style of styles) {
+        const node = document.createElement("style");
+        node.textContent = style.cssText;
+        root.appendChild(node);
+    }
+};
+
+/**
+ * Applies the styles of a light DOM component to the document, or shadow
+ * root, containing it. Each sheet is added once per root, next to the sheets
+ * it already adopted, or as a `<style>` element where sheets cannot be
+ * adopted.
+ *
+ * @param {HTMLElement} host - The mounted component.
+ * @param {object[]} styles - The normalized styles, see `normalizeStyles`.
+ */
+const applyRootStyles = (host, styles) => {
+    if (!styles.length) return;
+    const root = /** @type {any} */ (host.getRootNode());
+    if (canAdoptSheets()) {
+        const adopted = root.adoptedStyleSheets;
+        const sheets = styles.map(getSheet).filter((s) => !adopted.includes(s));
+        sheets.length && (root.adoptedStyleSheets = [...adopted, ...sheets]);
+        return;
+    }
+    let added = rootStyles.get(root);
+    added || rootStyles.set(root, (added = new WeakSet()));
+    for (const style of styles) {
+        if (added.has(style)) continue;
+        added.add(style);
+        const node = document.createElement("style");
+        node.textContent = style.cssText;
+        (root.head || root).appendChild(node);
+    }
+};
+
+/**
+ * Stops updating a shadow root with the document styles.
+ *
+ * @param {ShadowRoot} root - The shadow root.
+ */
+const releaseStyles = (root) => liveRoots.delete(root);
+
+export {
+    css,
+    normalizeStyles,
+    applyStyles,
+    applyRootStyles,
+    releaseStyles,
+};
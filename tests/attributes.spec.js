@@ -0,0 +1,113 @@
+// @ts-check
+import { test, expect } from "@playwright/test";
+import { createRoot, signal } from "../src/hooks/reactivity.js";
+import { bindClass, bindStyle } from "../src/template/attributes.js";
+
+// Just enough of an element to record class and style writes
+const createNode = () => {
+    const writes = [];
+    const classes = new Set();
+    const properties = new Map();
+    const node = {
+        writes,
+        classList: {
+            add: (name) => (classes.add(name), writes.push(`+${name}`)),
+            remove: (name) => (classes.delete(name), writes.push(`-${name}`)),
+        },
+        style: {
+            set cssText(text) {
+                properties.clear();
+                text && properties.set("cssText", text);
+            },
+            setProperty: (name, value, priority) => {
+                properties.set(name, priority ? `${value} !${priority}` : value);
+                writes.push(name);
+            },
+            removeProperty: (name) => {
+                properties.delete(name);
+                writes.push(`-${name}`);
+            },
+        },
+        get className() {
+            return [...classes].join(" ");
+        },
+        get properties() {
+            return Object.fromEntries(properties);
+        },
+    };
+    return node;
+};
+
+test("Attributes: class objects and arrays are reactive", () => {
+    const node = createNode();
+    const active = signal(true);
+    const size = signal("sm");
+    createRoot(() =>
+        bindClass(node, [
+            "btn extra",
+            () => `btn-${size()}`,
+            null,
+            { active, disabled: () => !active() },
+        ])
+    );
+    expect(node.className).toBe("btn extra btn-sm active");
+
+    node.writes.length = 0;
+    active(false);
+    expect(node.className).toBe("btn extra btn-sm disabled");
+    expect(node.writes).toEqual(["-active", "+disabled"]);
+
+    size("lg");
+    expect(node.className).toBe("btn extra disabled btn-lg");
+});
+
+test("Attributes: a new class value only removes the classes it set", () => {
+    const node = createNode();
+    const dispose = createRoot((d) => {
+        bindClass(node, { a: true, b: true });
+        return d;
+    });
+    node.classList.add("external");
+    dispose();
+    createRoot(() => bindClass(node, "b"));
+
+    expect(node.className).toBe("b external");
+});
+
+test("Attributes: style properties are diffed", () => {
+    const node = createNode();
+    const color = signal("red");
+    const size = signal(2);
+    createRoot(() =>
+        bindStyle(node, () => ({
+            color,
+            marginTop: size() > 2 ? null : "1px",
+            "--size": `${size()}px`,
+            fontWeight: "bold !important",
+        }))
+    );
+    expect(node.properties).toEqual({
+        color: "red",
+        "margin-top": "1px",
+        "--size": "2px",
+        "font-weight": "bold !important",
+    });
+
+    node.writes.length = 0;
+    size(4);
+    expect(node.writes).toEqual(["-margin-top", "--size"]);
+
+    node.writes.length = 0;
+    color("blue");
+    expect(node.writes).toEqual(["color"]);
+});
+
+test("Attributes: style strings replace the inline style", () => {
+    const node = createNode();
+    const style = signal(/** @type {any} */ ("color: red"));
+    createRoot(() => bindStyle(node, style));
+    expect(node.properties).toEqual({ cssText: "color: red" });
+
+    style([{ color: "blue" }, { color: "green", top: 0 }]);
+    expect(node.properties).toEqual({ color: "green", top: "0" });
+});
@@ -0,0 +1,288 @@
+// @ts-check
+import { test, expect } from "@playwright/test";
+import { useDom, tick } from "./helpers.js";
+import { component } from "../src/component.js";
+import { html, renderTemplate } from "../src/template/render.js";
+import { createRoot, effect, signal } from "../src/hooks/reactivity.js";
+import { onDestroy, onMount } from "../src/lifecycle.js";
+import { slotted } from "../src/hooks/slots.js";
+
+useDom();
+
+test.beforeEach(() => document.body.replaceChildren());
+
+test("Component: required props are checked on mount", () => {
+    component("cmp-required", (props) => html`<p>${props.label}</p>`, {
+        props: { label: { type: String, required: true } },
+    });
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (msg) => warnings.push(msg);
+
+    try {
+        const labelled = document.createElement("cmp-required");
+        labelled.setAttribute("label", "Hi");
+        document.body.append(labelled);
+        expect(warnings).toEqual([]);
+
+        document.body.append(document.createElement("cmp-required"));
+    } finally {
+        console.warn = warn;
+    }
+
+    expect(warnings).toEqual([
+        '[Esor] Missing required prop "label" on <cmp-required>',
+    ]);
+});
+
+test("Component: defaulted props re-render from a function child", () => {
+    component("cmp-defaulted", (props) => html`<p>${props.count}</p>`, {
+        props: { count: { type: Number, default: 0 } },
+    });
+    const list = signal([1]);
+    const renders = [];
+    createRoot(() =>
+        renderTemplate(
+            document.body,
+            html`${() => {
+                renders.push(list().length);
+                return list().map(() => html`<cmp-defaulted></cmp-defaulted>`);
+            }}`
+        )
+    );
+
+    list([1, 2]);
+
+    expect(renders).toEqual([1, 2]);
+    expect(document.querySelectorAll("cmp-defaulted").length).toBe(2);
+});
+
+test.describe("Component: function props", () => {
+    const options = {
+        props: { count: Number, onPick: Function, formatter: Function },
+    };
+    const first = () => "first";
+    const second = () => "second";
+
+    // Renders the element with functions for its props, `pick` switching
+    // the one given to `onPick`
+    const render = (template) => {
+        const n = signal(1);
+        const pick = signal(first);
+        const dispose = createRoot((d) => {
+            renderTemplate(
+                document.body,
+                html`${() => template(() => n(), pick(), second)}`
+            );
+            return d;
+        });
+        return { n, pick, dispose };
+    };
+
+    // What both definition orders must give
+    const check = ({ n, pick, dispose }, el) => {
+        expect(el.props.count).toBe(1);
+        expect(el.props.onPick).toBe(first);
+        expect(el.props.formatter).toBe(second);
+        expect(el.hasAttribute("formatter")).toBe(false);
+        n(2);
+        expect(el.props.count).toBe(2);
+
+        // The new function of a template updated in place
+        pick(second);
+        expect(document.body.querySelector(el.localName)).toBe(el);
+        expect(el.props.onPick).toBe(second);
+
+        // The binding goes away with the template that made it
+        dispose();
+        n(3);
+        expect(el.props.count).toBe(2);
+    };
+
+    test("elements defined before the template renders", () => {
+        component("cmp-early", () => html`<p></p>`, options);
+        const rendered = render(
+            (count, pick, formatter) =>
+                html`<cmp-early
+                    count=${count}
+                    on-pick=${pick}
+                    formatter=${formatter}
+                ></cmp-early>`
+        );
+
+        check(rendered, document.body.querySelector("cmp-early"));
+    });
+
+    test("elements defined after the template renders", () => {
+        const rendered = render(
+            (count, pick, formatter) =>
+                html`<cmp-late
+                    count=${count}
+                    on-pick=${pick}
+                    formatter=${formatter}
+                ></cmp-late>`
+        );
+        component("cmp-late", () => html`<p></p>`, options);
+
+        check(rendered, document.body.querySelector("cmp-late"));
+    });
+});
+
+test.describe("Component: moves and removals", () => {
+    const log = [];
+    const count = signal(0);
+
+    test.beforeAll(() => {
+        component("cmp-lifecycle", () => {
+            onMount(() => log.push("mount"));
+            onDestroy(() => log.push("destroy"));
+            effect(() => log.push(`count ${count()}`));
+            return html`<button @click=${() => log.push("click")}></button>`;
+        });
+    });
+
+    test.beforeEach(() => {
+        log.length = 0;
+        count(0);
+    });
+
+    // Creates the component inside one of two containers
+    const setup = async () => {
+        const [first, second] = ["div", "div"].map((tag) =>
+            document.body.appendChild(document.createElement(tag))
+        );
+        const el = first.appendChild(document.createElement("cmp-lifecycle"));
+        await tick();
+        log.length = 0;
+        const button = el.shadowRoot.querySelector("button");
+        const click = () => button.dispatchEvent(new Event("click"));
+        return { el, first, second, click };
+    };
+
+    test("a move keeps listeners and effects, without mounting", async () => {
+        const { el, second, click } = await setup();
+
+        second.append(el);
+        await tick();
+        count(1);
+        click();
+
+        expect(log).toEqual(["count 1", "click"]);
+    });
+
+    test("a removal disposes the component and runs onDestroy", async () => {
+        const { el, click } = await setup();
+
+        el.remove();
+        await tick();
+        count(1);
+        click();
+
+        expect(log).toEqual(["destroy"]);
+        expect(el.shadowRoot.childNodes.length).toBe(0);
+    });
+
+    test("inserting it again in a later task mounts it again", async () => {
+        const { el, second } = await setup();
+
+        el.remove();
+        await tick();
+        second.append(el);
+        await tick();
+
+        expect(log).toEqual(["destroy", "count 0", "mount"]);
+    });
+
+    test("removed, inserted and removed in a tick: one teardown", async () => {
+        const { el, first } = await setup();
+
+        el.remove();
+        first.append(el);
+        el.remove();
+        await tick();
+        count(1);
+
+        expect(log).toEqual(["destroy"]);
+    });
+});
+
+test.describe("Component: slots", () => {
+    test.beforeAll(() => {
+        component(
+            "cmp-light",
+            () => html`<div class="card">
+                <header><slot name="title"></slot></header>
+                <slot>empty</slot>
+            </div>`,
+            { shadow: false }
+        );
+        component("cmp-slotted", () => {
+            const nodes = slotted();
+            return html`<slot></slot><span>${() => nodes().length}</span>`;
+        });
+    });
+
+    test("light DOM children are moved into the slots", () => {
+        document.body.innerHTML =
+            '<cmp-light>text<b slot="title">Title</b><i>body</i></cmp-light>';
+        const el = document.body.firstElementChild;
+
+        expect(el.querySelector("header").innerHTML).toBe(
+            '<slot name="title"><b slot="title">Title</b></slot>'
+        );
+        expect(el.querySelector("div > slot").innerHTML).toBe(
+            "text<i>body</i>"
+        );
+    });
+
+    test("light DOM children rendered by a template keep updating", () => {
+        const x = signal("one");
+        createRoot(() =>
+            renderTemplate(
+                document.body,
+                html`<cmp-light>${() => x()}</cmp-light>`
+            )
+        );
+        const el = document.body.querySelector("cmp-light");
+
+        x("two");
+
+        expect(el.firstElementChild.className).toBe("card");
+        expect(el.querySelector("div > slot").textContent).toBe("two");
+        expect(el.childNodes.length).toBe(1);
+    });
+
+    test("light DOM children are given back on unmount", async () => {
+        const x = signal(html`<i>one</i>`);
+        createRoot(() =>
+            renderTemplate(
+                document.body,
+                html`<cmp-light><b slot="title">T</b>${() => x()}</cmp-light>`
+            )
+        );
+        const el = document.body.querySelector("cmp-light");
+        x(html`<u>two</u>`);
+
+        el.remove();
+        await tick();
+
+        expect(el.innerHTML).toBe(
+            '<b slot="title">T</b><!----><u>two</u><!---->'
+        );
+        x("three");
+        expect(el.textContent).toBe("Tthree");
+    });
+
+    test("slotchange updates the slotted nodes", async () => {
+        const el = document.body.appendChild(
+            document.createElement("cmp-slotted")
+        );
+        const count = () => el.shadowRoot.querySelector("span").textContent;
+        expect(count()).toBe("0");
+
+        el.append(document.createElement("b"), "text");
+        await tick();
+
+        expect(count()).toBe("2");
+    });
+});
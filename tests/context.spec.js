@@ -0,0 +1,65 @@
+// @ts-check
+import { test, expect } from "@playwright/test";
+import { useDom } from "./helpers.js";
+import { component } from "../src/component.js";
+import { html } from "../src/template/render.js";
+import { provide, inject } from "../src/hooks/context.js";
+
+useDom();
+
+const THEME = Symbol("theme");
+const seen = [];
+
+test.beforeAll(() => {
+    component("ctx-consumer", (props) => {
+        seen.push([props.name, inject(THEME, "none")]);
+        return html`<span></span>`;
+    });
+    component("ctx-open", () => {
+        provide(THEME, "open");
+        seen.push(["provider", inject(THEME, "none")]);
+        return html`<ctx-consumer name="shadow"></ctx-consumer><slot></slot>`;
+    });
+    component(
+        "ctx-closed",
+        () => {
+            provide(THEME, "closed");
+            return html`<ctx-consumer name="shadow"></ctx-consumer>`;
+        },
+        { shadowMode: "closed" }
+    );
+});
+
+test.beforeEach(() => {
+    seen.length = 0;
+    document.body.replaceChildren();
+});
+
+test("Context: children in an open shadow root inject the value", () => {
+    document.body.innerHTML = "<ctx-open></ctx-open>";
+
+    expect(seen).toEqual([
+        ["provider", "none"],
+        ["shadow", "open"],
+    ]);
+});
+
+test("Context: children in a closed shadow root inject the value", () => {
+    document.body.innerHTML = "<ctx-closed></ctx-closed>";
+
+    expect(seen).toEqual([["shadow", "closed"]]);
+});
+
+test("Context: slotted children inject the value", () => {
+    document.body.innerHTML =
+        '<ctx-open><ctx-consumer name="slotted"></ctx-consumer></ctx-open>';
+
+    expect(seen).toContainEqual(["slotted", "open"]);
+    expect(seen).toContainEqual(["shadow", "open"]);
+});
+
+test("Context: without a provider the fallback is used", () => {
+    document.body.innerHTML = '<ctx-consumer name="alone"></ctx-consumer>';
+
+    expect(seen).toEqual([["alone", "none"]]);
+});
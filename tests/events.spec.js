@@ -1,6 +1,8 @@
 // @ts-check
 import { test, expect } from "@playwright/test";
 import { emit } from "../src/hooks/emit.js";
+import { bindEvent, parseEventName } from "../src/template/events.js";
+import { createRoot, signal } from "../src/hooks/reactivity.js";
 
 test("Events: basic emission", () => {
     const target = new EventTarget();
@@ -50,3 +52,55 @@ test("Events: complex detail", () => {
     expect(event.detail.user.name).toBe("John");
     expect(event.detail.items).toEqual([1, 2, 3]);
 });
+
+test("Events: parseEventName reads modifiers", () => {
+    expect(parseEventName("click")).toEqual(["click", {}]);
+    expect(parseEventName("my-Event.once.passive")).toEqual([
+        "my-Event",
+        { once: true, passive: true },
+    ]);
+});
+
+test("Events: bindings are independent and removed on dispose", () => {
+    const target = new EventTarget();
+    const log = [];
+    const dispose = createRoot((dispose) => {
+        bindEvent(target, "ping", () => log.push("a"));
+        bindEvent(target, "ping", () => log.push("b"));
+        bindEvent(target, "ping.once", () => log.push("once"));
+        bindEvent(target, "pong", [() => log.push("c"), { once: true }]);
+        return dispose;
+    });
+
+    target.dispatchEvent(new Event("ping"));
+    target.dispatchEvent(new Event("ping"));
+    target.dispatchEvent(new Event("pong"));
+    target.dispatchEvent(new Event("pong"));
+    expect(log).toEqual(["a", "b", "once", "a", "b", "c"]);
+
+    dispose();
+    target.dispatchEvent(new Event("ping"));
+    expect(log.length).toBe(6);
+});
+
+test("Events: signal handlers are swapped", () => {
+    const target = new EventTarget();
+    const log = [];
+    const handler = signal(() => log.push(1));
+    const dispose = createRoot((dispose) => {
+        bindEvent(target, "ping", handler);
+        return dispose;
+    });
+
+    target.dispatchEvent(new Event("ping"));
+    handler(() => log.push(2));
+    target.dispatchEvent(new Event("ping"));
+    handler(null);
+    target.dispatchEvent(new Event("ping"));
+    expect(log).toEqual([1, 2]);
+
+    handler(() => log.push(3));
+    dispose();
+    target.dispatchEvent(new Event("ping"));
+    expect(log).toEqual([1, 2]);
+});
@@ -0,0 +1,152 @@
+// @ts-check
+import { test, expect } from "@playwright/test";
+import { withHost } from "./helpers.js";
+import { createRoot, effect, signal } from "../src/hooks/reactivity.js";
+import { form, useFormInternals } from "../src/hooks/form.js";
+import { bindModel } from "../src/template/model.js";
+
+const signup = () =>
+    form(
+        { email: "", tags: ["a"] },
+        {
+            email: [
+                (v) => !v && "Required",
+                (v) => v.includes("@") || "Invalid email",
+            ],
+            tags: (v, values) =>
+                v.length > 0 || values.email === "" || "Pick a tag",
+        }
+    );
+
+test("Form: fields are signals validated by the first failing rule", () => {
+    const f = signup();
+    const { email, tags } = f.fields;
+
+    expect(email()).toBe("");
+    expect(email.error()).toBe("Required");
+    expect(f.valid()).toBe(false);
+
+    email("ann");
+    expect(f.errors()).toEqual({ email: "Invalid email" });
+
+    email("ann@example.com");
+    tags([]);
+    expect(f.errors()).toEqual({ tags: "Pick a tag" });
+
+    tags(["b"]);
+    expect(f.valid()).toBe(true);
+    expect(f.values()).toEqual({ email: "ann@example.com", tags: ["b"] });
+});
+
+test("Form: dirty and touched tracking", () => {
+    const f = signup();
+    const { email, tags } = f.fields;
+    const dirty = [];
+    effect(() => dirty.push(f.dirty()));
+
+    tags(["a"]);
+    expect(tags.dirty()).toBe(false);
+    email("x");
+    email("");
+    expect(dirty).toEqual([false, true, false]);
+
+    email.touched(true);
+    expect(f.touched()).toBe(true);
+});
+
+test("Form: submit touches every field and only sends valid values", () => {
+    const f = signup();
+    const sent = [];
+    let prevented = 0;
+    const onSubmit = f.submit((values) => sent.push(values));
+    const event = { preventDefault: () => prevented++ };
+
+    onSubmit(event);
+    expect(sent).toEqual([]);
+    expect(prevented).toBe(1);
+    expect(f.fields.tags.touched()).toBe(true);
+
+    f.fields.email("ann@example.com");
+    onSubmit(event);
+    expect(sent).toEqual([{ email: "ann@example.com", tags: ["a"] }]);
+});
+
+test("Form: reset restores or replaces the initial values", () => {
+    const f = signup();
+    f.fields.email("ann@example.com");
+    f.fields.email.touched(true);
+
+    f.reset();
+    expect(f.values()).toEqual({ email: "", tags: ["a"] });
+    expect(f.touched()).toBe(false);
+
+    f.reset({ email: "bob@example.com" });
+    expect(f.fields.email()).toBe("bob@example.com");
+    expect(f.dirty()).toBe(false);
+});
+
+test("Form: model binds a value in both directions", () => {
+    const node = Object.assign(new EventTarget(), { value: "" });
+    const f = form({ name: "Ann" });
+    const { name } = f.fields;
+    const dispose = createRoot((d) => {
+        bindModel(/** @type {any} */ (node), name);
+        return d;
+    });
+
+    expect(node.value).toBe("Ann");
+    node.value = "Bob";
+    node.dispatchEvent(new Event("input"));
+    expect(name()).toBe("Bob");
+    name("Cy");
+    expect(node.value).toBe("Cy");
+    node.dispatchEvent(new Event("blur"));
+    expect(name.touched()).toBe(true);
+
+    dispose();
+    node.value = "Dee";
+    node.dispatchEvent(new Event("input"));
+    expect(name()).toBe("Cy");
+});
+
+test("Form: model warns without a signal", () => {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+        bindModel(/** @type {any} */ (new EventTarget()), () => "value");
+    } finally {
+        console.warn = warn;
+    }
+    expect(warnings).toEqual(["[Esor] model expects a signal"]);
+});
+
+test("Form: useFormInternals wraps the element internals", () => {
+    const calls = [];
+    const internals = {
+        form: null,
+        states: new Set(),
+        setFormValue: (...args) => calls.push(["value", ...args]),
+        setValidity: (...args) => calls.push(["validity", ...args]),
+    };
+    const host = { _internals: internals, _formDisabled: signal(false) };
+    const api = withHost(host, () => useFormInternals());
+
+    api.setValue("a");
+    api.setValidity({ valueMissing: true }, "Required");
+    api.setState("checked", true);
+    expect(calls).toEqual([
+        ["value", "a", undefined],
+        ["validity", { valueMissing: true }, "Required", undefined],
+    ]);
+    expect([...internals.states]).toEqual(["checked"]);
+
+    host._formDisabled(true);
+    expect(api.disabled()).toBe(true);
+});
+
+test("Form: useFormInternals requires the formAssociated option", () => {
+    expect(() =>
+        withHost({}, () => useFormInternals())
+    ).toThrow("[Esor] useFormInternals() requires the formAssociated option");
+});
@@ -0,0 +1,110 @@
+import { test } from "@playwright/test";
+import { JSDOM } from "jsdom";
+import { createRoot, getOwner } from "../src/hooks/reactivity.js";
+
+// Globals the framework reads, taken from the jsdom window
+const DOM_GLOBALS = [
+    "window",
+    "document",
+    "customElements",
+    "Node",
+    "Element",
+    "HTMLElement",
+    "HTMLTemplateElement",
+    "DocumentFragment",
+    "ShadowRoot",
+    "Event",
+    "CustomEvent",
+    "MutationObserver",
+];
+
+/**
+ * Replaces globals for the tests of the current file, restoring them once
+ * they are done.
+ *
+ * @param {() => Record<string, any>} create - Returns the globals, called
+ *     before the first test.
+ * @param {Function} [release] - Called after the last test.
+ */
+const useGlobals = (create, release) => {
+    const saved = new Map();
+    test.beforeAll(() => {
+        const globals = create();
+        for (const name in globals) {
+            saved.set(
+                name,
+                Object.getOwnPropertyDescriptor(globalThis, name)
+            );
+            Object.defineProperty(globalThis, name, {
+                value: globals[name],
+                configurable: true,
+                writable: true,
+            });
+        }
+    });
+    test.afterAll(() => {
+        for (const [name, descriptor] of saved)
+            descriptor
+                ? Object.defineProperty(globalThis, name, descriptor)
+                : delete globalThis[name];
+        saved.clear();
+        release?.();
+    });
+};
+
+/**
+ * Runs the tests of the current file in a jsdom document, so components,
+ * shadow roots and composed events behave as in a browser.
+ *
+ * @returns {{window: any}} Holds the jsdom window once the tests run.
+ */
+export const useDom = () => {
+    const dom = { window: null };
+    useGlobals(
+        () => {
+            const { window } = new JSDOM("<!doctype html><body></body>", {
+                pretendToBeVisual: true,
+            });
+            dom.window = window;
+            return Object.fromEntries(
+                DOM_GLOBALS.map((name) => [
+                    name,
+                    name === "window" ? window : window[name],
+                ])
+            );
+        },
+        () => dom.window.close()
+    );
+    return dom;
+};
+
+/**
+ * Gives the tests of the current file a `Node` global, for the specs that
+ * run on fake nodes rather than a document.
+ *
+ * @param {any} node - The `Node` stand-in, with the node type constants
+ *     the tested code reads.
+ */
+export const useNode = (node) => useGlobals(() => ({ Node: node }));
+
+/**
+ * Runs a function in a new scope owned by a fake component host, the way
+ * `component()` runs its setup.
+ *
+ * @param {object} host - The host returned by `getOwner().host`.
+ * @param {(dispose: Function) => any} fn - Receives the `dispose` function
+ *     of the scope.
+ * @returns {any} The result of the function.
+ */
+export const withHost = (host, fn) =>
+    createRoot((dispose) => {
+        getOwner().host = host;
+        return fn(dispose);
+    });
+
+/**
+ * Waits for the microtasks queued so far, such as a deferred teardown.
+ *
+ * @returns {Promise<void>}
+ */
+export const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
@@ -0,0 +1,132 @@
+// @ts-check
+import { test, expect } from "@playwright/test";
+import { useDom, withHost } from "./helpers.js";
+import { html, renderTemplate } from "../src/template/render.js";
+import {
+    signal,
+    batch,
+    getOwner,
+    runWithOwner,
+    onCleanup,
+} from "../src/hooks/reactivity.js";
+import {
+    createLifecycle,
+    beforeUpdate,
+    onUpdate,
+    onMount,
+    onDestroy,
+    onFormDisabled,
+    onFormReset,
+    getCurrentContext,
+} from "../src/lifecycle.js";
+
+/**
+ * Sets up a fake component host, the way `component()` does before setup.
+ *
+ * @param {Function} setup - Runs inside the host's scope.
+ * @returns {any} The host.
+ */
+const mount = (setup) => {
+    /** @type {any} */
+    const host = {};
+    createLifecycle(host);
+    withHost(host, (dispose) => {
+        host._dispose = dispose;
+        setup(host);
+    });
+    return host;
+};
+
+test.describe("Lifecycle: update hooks of rendered bindings", () => {
+    useDom();
+
+    const a = signal(0);
+    const b = signal(0);
+    const name = signal("");
+    const log = [];
+    test.beforeAll(() =>
+        mount(() => {
+            beforeUpdate(() => log.push("before"));
+            onUpdate(() => log.push("update"));
+            // Two bindings depending on `b`, and a model
+            renderTemplate(
+                document.createElement("div"),
+                html`<p title=${() => b()}>
+                        ${() => log.push(`render ${a()} ${b()}`)}
+                    </p>
+                    <input model=${name} />`
+            );
+        })
+    );
+    test.beforeEach(() => (log.length = 0));
+
+    test("they run once per flush", async () => {
+        batch(() => {
+            a(1);
+            b(1);
+        });
+        await Promise.resolve();
+
+        expect(log).toEqual(["before", "render 1 1", "update"]);
+    });
+
+    test("model updates run them", async () => {
+        name("typed");
+        await Promise.resolve();
+
+        expect(log).toEqual(["before", "update"]);
+    });
+});
+
+test("Lifecycle: form hooks receive the callback arguments", () => {
+    const log = [];
+    const host = mount(() => {
+        onFormReset(() => log.push("reset"));
+        onFormDisabled((disabled) => log.push(`disabled ${disabled}`));
+    });
+
+    host.runHook("formReset", true);
+    host.runHook("formDisabled", true, [true]);
+    expect(log).toEqual(["reset", "disabled true"]);
+});
+
+test("Lifecycle: hooks outside setup throw", async () => {
+    const host = mount(() => {});
+
+    expect(() => onMount(() => {})).toThrow("[Esor] Hook \"mount\"");
+    await Promise.resolve();
+    expect(() => onDestroy(() => {})).toThrow("outside of a component setup");
+    expect(host._lifecycles.destroy.length).toBe(0);
+});
+
+test("Lifecycle: nested setup restores the parent context", () => {
+    let child;
+    let context;
+    const parent = mount(() => {
+        child = mount(() => onMount(() => {}));
+        context = getCurrentContext();
+        onMount(() => {});
+    });
+
+    expect(context).toBe(parent);
+    expect(parent._lifecycles.mount.length).toBe(1);
+    expect(child._lifecycles.mount.length).toBe(1);
+});
+
+test("Lifecycle: runWithOwner attaches async work to the component", async () => {
+    const log = [];
+    let owner;
+    const host = mount(() => {
+        owner = getOwner();
+    });
+
+    await Promise.resolve();
+    runWithOwner(owner, () => {
+        onDestroy(() => log.push("destroy"));
+        onCleanup(() => log.push("cleanup"));
+    });
+
+    expect(host._lifecycles.destroy.length).toBe(1);
+    host._dispose();
+    expect(log).toEqual(["cleanup"]);
+});
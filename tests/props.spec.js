@@ -1,6 +1,15 @@
 // @ts-check
 import { test, expect } from "@playwright/test";
-import { parseAttributeValue, initializeProps } from "../src/props.js";
+import {
+    parseAttributeValue,
+    initializeProps,
+    normalizeProps,
+    updateProp,
+    coerceProp,
+    definePropAccessors,
+    warnMissingProps,
+} from "../src/props.js";
+import { effect } from "../src/hooks/reactivity.js";
 
 test("Props: parseAttributeValue - números", () => {
     expect(parseAttributeValue("123")).toBe(123);
@@ -63,3 +72,154 @@ test("Props: initializeProps", () => {
     expect(mockElement.props.onclick).toBeUndefined();
     expect(mockElement.props.ref).toBeUndefined();
 });
+
+test("Props: normalizeProps - list and object forms", () => {
+    const fromList = normalizeProps(["count", "userName"]);
+    expect([...fromList.keys()]).toEqual(["count", "user-name"]);
+    expect(fromList.get("user-name")?.key).toBe("userName");
+
+    const fromObject = normalizeProps({ count: {}, isOpen: {} });
+    expect([...fromObject.keys()]).toEqual(["count", "is-open"]);
+    expect(normalizeProps(undefined).size).toBe(0);
+});
+
+test("Props: declared props are reactive", () => {
+    const defs = normalizeProps(["count", "userName"]);
+    const mockElement = {
+        attributes: [
+            { name: "count", value: "1" },
+            { name: "user-name", value: "Ann" },
+        ],
+        props: {},
+        _functionProps: null,
+    };
+
+    initializeProps(/** @type {any} */ (mockElement), defs);
+
+    const values = [];
+    effect(() => values.push(mockElement.props.count));
+    expect(mockElement.props.userName).toBe("Ann");
+
+    updateProp(/** @type {any} */ (mockElement), defs, "count", "5");
+    updateProp(/** @type {any} */ (mockElement), defs, "unknown", "x");
+
+    expect(values).toEqual([1, 5]);
+    expect(mockElement.props.unknown).toBeUndefined();
+});
+
+test("Props: coerceProp - declared types", () => {
+    const defs = normalizeProps({
+        count: { type: Number, default: 0 },
+        code: String,
+        open: Boolean,
+        items: { type: Array, default: () => [] },
+    });
+    const def = (name) => /** @type {any} */ (defs.get(name));
+
+    expect(coerceProp(def("code"), "007")).toBe("007");
+    expect(coerceProp(def("count"), "007")).toBe(7);
+    expect(coerceProp(def("count"), null)).toBe(0);
+    expect(coerceProp(def("open"), "")).toBe(true);
+    expect(coerceProp(def("open"), "false")).toBe(false);
+    expect(coerceProp(def("open"), null)).toBe(false);
+    expect(coerceProp(def("items"), "[1,2]")).toEqual([1, 2]);
+    expect(coerceProp(def("items"), null)).toEqual([]);
+    expect(coerceProp(def("items"), null)).not.toBe(
+        coerceProp(def("items"), null)
+    );
+});
+
+test("Props: coerceProp - constructors and parsers", () => {
+    const defs = normalizeProps({
+        since: Date,
+        tags: { type: (v) => v.split(",") },
+    });
+    const def = (name) => /** @type {any} */ (defs.get(name));
+    const since = coerceProp(def("since"), "2020-01-01");
+
+    expect(since).toBeInstanceOf(Date);
+    expect(since.toISOString()).toBe("2020-01-01T00:00:00.000Z");
+    expect(coerceProp(def("tags"), "a,b")).toEqual(["a", "b"]);
+});
+
+test("Props: coerceProp - Function props never compile attributes", () => {
+    const fallback = () => "default";
+    const defs = normalizeProps({
+        format: { type: Function, default: fallback },
+    });
+    const def = /** @type {any} */ (defs.get("format"));
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (msg) => warnings.push(msg);
+
+    try {
+        expect(coerceProp(def, "return 'pwned'")).toBe(fallback);
+    } finally {
+        console.warn = warn;
+    }
+    expect(warnings).toEqual([
+        '[Esor] Function prop "format" ignores its attribute, pass a function instead',
+    ]);
+});
+
+test("Props: defaults and required props", () => {
+    const defs = normalizeProps({
+        count: { type: Number, default: 5, required: true },
+        label: { type: String, required: true },
+    });
+    const mockElement = {
+        attributes: [{ name: "count", value: "2" }],
+        props: {},
+        _functionProps: null,
+        localName: "x-counter",
+    };
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (msg) => warnings.push(msg);
+
+    try {
+        initializeProps(/** @type {any} */ (mockElement), defs);
+        // Created, then given its attributes before it mounts
+        expect(warnings).toEqual([]);
+        warnMissingProps(/** @type {any} */ (mockElement), defs);
+        updateProp(/** @type {any} */ (mockElement), defs, "label", "Hi");
+        warnMissingProps(/** @type {any} */ (mockElement), defs);
+    } finally {
+        console.warn = warn;
+    }
+
+    expect(mockElement.props.count).toBe(2);
+    expect(mockElement.props.label).toBe("Hi");
+    expect(warnings).toEqual([
+        '[Esor] Missing required prop "label" on <x-counter>',
+    ]);
+});
+
+test("Props: element properties and values set before upgrade", () => {
+    const defs = normalizeProps({ items: Array, title: String });
+    const proto = { title: "" };
+    definePropAccessors(proto, defs);
+    const mockElement = Object.assign(Object.create(proto), {
+        attributes: [{ name: "items", value: "[1]" }],
+        props: {},
+        _functionProps: null,
+    });
+    // Assigned before the accessors existed, like an element not upgraded yet
+    Object.defineProperty(mockElement, "items", {
+        value: [2],
+        writable: true,
+        configurable: true,
+        enumerable: true,
+    });
+
+    initializeProps(mockElement, defs);
+
+    expect(mockElement.props.items).toEqual([2]);
+    expect(Object.keys(mockElement)).not.toContain("items");
+    mockElement.items = [3];
+    expect(mockElement.props.items).toEqual([3]);
+    expect(mockElement.items).toEqual([3]);
+    // Built-in members are not shadowed
+    mockElement.title = "Hi";
+    expect(mockElement.props.title).toBeUndefined();
+});
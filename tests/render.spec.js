@@ -0,0 +1,275 @@
+// @ts-check
+import { test, expect } from "@playwright/test";
+import { useDom } from "./helpers.js";
+import { html, renderTemplate } from "../src/template/render.js";
+import { each, when } from "../src/template/flow.js";
+import { createRoot, onCleanup, signal } from "../src/hooks/reactivity.js";
+
+useDom();
+
+// Renders a template into a new element attached to the document
+const render = (template) => {
+    const container = document.body.appendChild(document.createElement("div"));
+    const dispose = createRoot((d) => {
+        renderTemplate(container, template);
+        return d;
+    });
+    return { container, dispose };
+};
+
+test.beforeEach(() => document.body.replaceChildren());
+
+test("Render: ? and @ bindings reject text mixed with values", () => {
+    expect(() => render(html`<p ?hidden="a${true}"></p>`)).toThrow(
+        "[Esor] ?hidden takes a single value, not text mixed with values"
+    );
+    expect(() => render(html`<p @click="${() => {}} "></p>`)).toThrow(
+        "[Esor] @click takes a single value, not text mixed with values"
+    );
+});
+
+test.describe("Render: each", () => {
+    test("kept rows keep their nodes and only update their signals", () => {
+        const items = signal([
+            { id: 1, text: "a" },
+            { id: 2, text: "b" },
+        ]);
+        const rendered = [];
+        const { container } = render(html`<ul>
+            ${each(
+                items,
+                (item) => item.id,
+                (item, index) => {
+                    rendered.push(item().id);
+                    return html`<li>${() => index()}:${() => item().text}</li>`;
+                }
+            )}
+        </ul>`);
+        const [first, second] = container.querySelectorAll("li");
+
+        items([
+            { id: 2, text: "b" },
+            { id: 1, text: "A" },
+            { id: 3, text: "c" },
+        ]);
+        const rows = [...container.querySelectorAll("li")];
+
+        expect(rows.map((li) => li.textContent)).toEqual([
+            "0:b",
+            "1:A",
+            "2:c",
+        ]);
+        expect(rows[0]).toBe(second);
+        expect(rows[1]).toBe(first);
+        // Each row was rendered once, the new one included
+        expect(rendered.sort()).toEqual([1, 2, 3]);
+    });
+
+    test("removed rows dispose their scope", () => {
+        const items = signal(["a", "b", "c"]);
+        const disposed = [];
+        const { container, dispose } = render(html`<ul>
+            ${each(items, (item) => {
+                const name = item();
+                onCleanup(() => disposed.push(name));
+                return html`<li>${name}</li>`;
+            })}
+        </ul>`);
+
+        items(["c", "a"]);
+        expect(disposed).toEqual(["b"]);
+        expect(container.textContent.replace(/\s/g, "")).toBe("ca");
+
+        dispose();
+        expect(disposed).toEqual(["b", "c", "a"]);
+    });
+
+    test("rows that are not templates render like child values", () => {
+        const items = signal([1, 5]);
+        const { container } = render(html`<p>
+            ${each(items, (item) =>
+                when(
+                    () => item() > 2 && item(),
+                    (value) => html`<b>${() => value()}</b>`,
+                    () => "small"
+                )
+            )}
+            ${each(["x"], () => () => items().length)}
+        </p>`);
+        const text = () => container.textContent.replace(/\s/g, "");
+
+        expect(text()).toBe("small52");
+        expect(container.querySelector("b").textContent).toBe("5");
+
+        items([3, 5, 1]);
+        expect(text()).toBe("35small3");
+    });
+});
+
+test.describe("Render: form state", () => {
+    test("a moved row keeps the focus and the caret", () => {
+        const items = signal(["a", "b"]);
+        const { container } = render(html`<div>
+            ${each(items, (item) => html`<input value=${item()} />`)}
+        </div>`);
+        const input = container.querySelectorAll("input")[1];
+        input.focus();
+        input.setSelectionRange(0, 1, "backward");
+
+        items(["b", "a"]);
+
+        expect(container.querySelector("input")).toBe(input);
+        expect(document.activeElement).toBe(input);
+        expect([
+            input.selectionStart,
+            input.selectionEnd,
+            input.selectionDirection,
+        ]).toEqual([0, 1, "backward"]);
+    });
+
+    test("a focused field keeps its caret when its value changes", () => {
+        const text = signal("hello");
+        const { container } = render(html`<input value=${text} />`);
+        const input = container.querySelector("input");
+        input.focus();
+        input.setSelectionRange(2, 3);
+
+        text("hello world");
+        expect(input.value).toBe("hello world");
+        expect([input.selectionStart, input.selectionEnd]).toEqual([2, 3]);
+
+        text("hi");
+        expect([input.selectionStart, input.selectionEnd]).toEqual([2, 2]);
+    });
+
+    test("a select value waits for its option to be rendered", () => {
+        const options = signal(["a", "b"]);
+        const selected = signal("c");
+        const { container } = render(html`<select value=${selected}>
+            ${each(options, (o) => html`<option value=${o()}>${o()}</option>`)}
+        </select>`);
+        const select = container.querySelector("select");
+        expect(select.value).toBe("");
+
+        options(["a", "b", "c"]);
+        expect(select.value).toBe("c");
+
+        selected("b");
+        expect(select.value).toBe("b");
+    });
+
+    test("a textarea follows its text, even once edited", () => {
+        const text = signal("one");
+        const { container } = render(html`<textarea>${text}</textarea>`);
+        const textarea = container.querySelector("textarea");
+        expect(textarea.value).toBe("one");
+
+        textarea.value = "typed";
+        text("two");
+        expect(textarea.value).toBe("two");
+
+        // The bound text did not change: what was typed stays
+        textarea.value = "typed";
+        text("two");
+        expect(textarea.value).toBe("typed");
+    });
+});
+
+test.describe("Render: model", () => {
+    // Sets what the user picked or typed and sends the event
+    const input = (node, event, change) => {
+        change(node);
+        node.dispatchEvent(new Event(event));
+    };
+
+    test("a checkbox binds a boolean", () => {
+        const agreed = signal(true);
+        const { container } = render(
+            html`<input type="checkbox" model=${agreed} />`
+        );
+        const box = container.querySelector("input");
+        expect(box.checked).toBe(true);
+
+        input(box, "change", () => (box.checked = false));
+        expect(agreed()).toBe(false);
+
+        agreed(1);
+        expect(box.checked).toBe(true);
+    });
+
+    test("checkboxes bound to an array add and remove their value", () => {
+        const picked = signal(["b"]);
+        const { container } = render(html`<div>
+            <input type="checkbox" value="a" model=${picked} />
+            <input type="checkbox" value="b" model=${picked} />
+        </div>`);
+        const [a, b] = container.querySelectorAll("input");
+        expect([a.checked, b.checked]).toEqual([false, true]);
+
+        input(a, "change", () => (a.checked = true));
+        expect(picked()).toEqual(["b", "a"]);
+        input(b, "change", () => (b.checked = false));
+        expect(picked()).toEqual(["a"]);
+
+        picked(["b"]);
+        expect([a.checked, b.checked]).toEqual([false, true]);
+    });
+
+    test("radios bind the value of the checked one", () => {
+        const size = signal(2);
+        const { container } = render(html`<div>
+            <input type="radio" name="size" value="1" model=${size} />
+            <input type="radio" name="size" value="2" model=${size} />
+        </div>`);
+        const [one, two] = container.querySelectorAll("input");
+        expect([one.checked, two.checked]).toEqual([false, true]);
+
+        input(one, "change", () => (one.checked = true));
+        expect(size()).toBe("1");
+
+        size("2");
+        expect([one.checked, two.checked]).toEqual([false, true]);
+    });
+
+    test("a multiple select binds the selected values", () => {
+        const tags = signal(["b"]);
+        const { container } = render(html`<select multiple model=${tags}>
+            <option value="a">A</option>
+            <option value="b">B</option>
+            <option value="c">C</option>
+        </select>`);
+        const select = container.querySelector("select");
+        const selected = () => Array.from(select.options, (o) => o.selected);
+        expect(selected()).toEqual([false, true, false]);
+
+        input(select, "change", () => (select.options[2].selected = true));
+        expect(tags()).toEqual(["b", "c"]);
+
+        tags(["a"]);
+        expect(selected()).toEqual([true, false, false]);
+        tags(null);
+        expect(selected()).toEqual([false, false, false]);
+    });
+
+    test("a number input binds a number, null when empty", () => {
+        const amount = signal(1);
+        const { container } = render(
+            html`<input type="number" model=${amount} />`
+        );
+        const field = container.querySelector("input");
+        expect(field.value).toBe("1");
+
+        input(field, "input", () => (field.value = "2.5"));
+        expect(amount()).toBe(2.5);
+        input(field, "input", () => (field.value = ""));
+        expect(amount()).toBe(null);
+
+        // The same number written differently is kept as typed
+        input(field, "input", () => (field.value = "1.0"));
+        expect(amount()).toBe(1);
+        expect(field.value).toBe("1.0");
+
+        amount(3);
+        expect(field.value).toBe("3");
+    });
+});
@@ -0,0 +1,53 @@
+// @ts-check
+import { test, expect } from "@playwright/test";
+import { useNode, withHost } from "./helpers.js";
+import { effect } from "../src/hooks/reactivity.js";
+import { slotted, useSlots, refreshSlots } from "../src/hooks/slots.js";
+
+const element = (slot) => ({
+    nodeType: 1,
+    getAttribute: (name) => (name === "slot" ? slot : null),
+});
+const text = (data) => ({ nodeType: 3, textContent: data });
+
+// Runs `fn` as the setup of a fake component with these children
+const setup = (childNodes, fn) => {
+    const host = /** @type {any} */ ({ childNodes });
+    return [host, withHost(host, () => fn())];
+};
+
+useNode({ ELEMENT_NODE: 1, TEXT_NODE: 3 });
+
+test("Slots: nodes are assigned by their slot attribute", () => {
+    const header = element("header");
+    const body = element(null);
+    const label = text(" label ");
+    const [, [headerNodes, defaultNodes]] = setup(
+        [header, text("\n  "), body, label],
+        () => [slotted("header"), slotted()]
+    );
+
+    expect(headerNodes()).toEqual([header]);
+    expect(defaultNodes()).toEqual([body, label]);
+});
+
+test("Slots: slotchange updates the assigned nodes", () => {
+    const footer = element("footer");
+    const [host, slots] = setup([], () => useSlots());
+    const counts = [];
+    effect(() => counts.push(slots.footer().length));
+
+    host.childNodes.push(footer);
+    refreshSlots(host);
+    refreshSlots(host);
+
+    expect(counts).toEqual([0, 1]);
+    expect(slots.footer).toBe(slots.footer);
+    expect(slots.default()).toEqual([]);
+});
+
+test("Slots: slotted() outside of a component setup throws", () => {
+    expect(() => slotted()).toThrow(
+        "[Esor] slotted() called outside of a component setup"
+    );
+});
@@ -0,0 +1,111 @@
+// @ts-check
+import { test, expect } from "@playwright/test";
+import { signal } from "../src/hooks/reactivity.js";
+import { provide, inject } from "../src/hooks/context.js";
+import { onMount } from "../src/lifecycle.js";
+import { component } from "../src/component.js";
+import { html } from "../src/template/render.js";
+import { each, show, when } from "../src/template/flow.js";
+import { renderToString } from "../src/template/ssr.js";
+import { css } from "../src/utils/styles.js";
+
+const THEME = Symbol("theme");
+
+component(
+    "ssr-counter",
+    (props) => {
+        const count = signal(props.count);
+        const theme = inject(THEME, "light");
+        onMount(() => count(0));
+        return html`<button
+            @click=${() => count(count() + 1)}
+            class=${{ high: () => count() > 5 }}
+            ?disabled=${props.disabled}
+        >
+            ${count} (${theme})
+        </button>`;
+    },
+    {
+        props: { count: Number, disabled: Boolean },
+        styles: css`:host { display: block; }`,
+    }
+);
+
+component(
+    "ssr-app",
+    () => {
+        provide(THEME, "dark");
+        return html`<ssr-counter count=${7}><b>child</b></ssr-counter>`;
+    },
+    { shadowMode: "closed" }
+);
+
+component("ssr-format", (props) => html`<i>${props.format(2)}</i>`, {
+    props: { format: Function },
+});
+
+component("ssr-light", () => html`<p>light</p>`, { shadow: false });
+
+test("SSR: components render a declarative shadow root", () => {
+    expect(renderToString(html`<ssr-counter count="3"></ssr-counter>`)).toBe(
+        '<ssr-counter count="3"><template shadowrootmode="open">' +
+            "<style>:host { display: block; }</style>" +
+            "<button>\n            3 (light)\n        </button>" +
+            "</template></ssr-counter>"
+    );
+});
+
+test("SSR: nested components receive props, children and context", () => {
+    const result = renderToString(html`<ssr-app></ssr-app>`);
+
+    expect(result).toContain(
+        '<ssr-app><template shadowrootmode="closed"><ssr-counter count="7">'
+    );
+    expect(result).toContain('<button class="high">');
+    expect(result).toContain("7 (dark)");
+    expect(result).toContain("</template><b>child</b></ssr-counter>");
+    expect(renderToString(html`<ssr-light>x</ssr-light>`)).toBe(
+        "<ssr-light>x</ssr-light>"
+    );
+});
+
+test("SSR: Function props receive the function, not an attribute", () => {
+    expect(
+        renderToString(html`<ssr-format format=${(n) => n * 2}></ssr-format>`)
+    ).toBe(
+        '<ssr-format><template shadowrootmode="open"><i>4</i></template>' +
+            "</ssr-format>"
+    );
+});
+
+test("SSR: values are escaped and bindings resolved", () => {
+    const items = signal([
+        { id: 1, text: "a<b" },
+        { id: 2, text: "c" },
+    ]);
+    const result = renderToString(html`<ul>
+            ${each(
+                items,
+                (item) => item.id,
+                (item) => html`<li key=${item().id}>${() => item().text}</li>`
+            )}
+        </ul>
+        ${when(() => false, "yes", "no")}
+        ${show(false, html`<p style=${{ marginTop: "1px" }}>hidden</p>`)}
+        <input title="say ${'"hi"'}" model=${signal("v")} onclick=${() => {}} />
+        <textarea>${"</textarea>"}</textarea>`);
+
+    expect(result).toContain("<li>a&lt;b</li><li>c</li>");
+    expect(result).toContain("no");
+    expect(result).toContain(
+        '<p style="margin-top: 1px; display: none">hidden</p>'
+    );
+    expect(result).toContain('<input title="say &quot;hi&quot;" value="v"/>');
+    expect(result).toContain("<textarea>&lt;/textarea&gt;</textarea>");
+});
+
+test("SSR: ? and @ bindings reject text mixed with values", () => {
+    expect(() => renderToString(html`<p ?hidden="a${true}"></p>`)).toThrow(
+        "[Esor] ?hidden takes a single value, not text mixed with values"
+    );
+});
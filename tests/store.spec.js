@@ -0,0 +1,130 @@
+// @ts-check
+import { test, expect } from "@playwright/test";
+import { effect } from "../src/hooks/reactivity.js";
+import {
+    store,
+    reactive,
+    produce,
+    reconcile,
+    unwrap,
+} from "../src/hooks/store.js";
+
+test("Store: per-property tracking", () => {
+    const state = reactive({ user: { name: "Ann", age: 30 }, theme: "dark" });
+    const names = [];
+    const themes = [];
+
+    effect(() => names.push(state.user.name));
+    effect(() => themes.push(state.theme));
+
+    state.user.age = 31;
+    state.user.name = "Bob";
+    state.user.name = "Bob";
+    state.theme = "light";
+
+    expect(names).toEqual(["Ann", "Bob"]);
+    expect(themes).toEqual(["dark", "light"]);
+});
+
+test("Store: nested proxies are cached and unwrap to the raw object", () => {
+    const raw = { list: [{ id: 1 }] };
+    const state = reactive(raw);
+
+    expect(state.list).toBe(state.list);
+    expect(unwrap(state.list)).toBe(raw.list);
+    expect(reactive(state)).toBe(state);
+});
+
+test("Store: array mutators only notify affected indices", () => {
+    const todos = reactive([{ title: "a" }, { title: "b" }]);
+    let lengthRuns = 0;
+    let firstRuns = 0;
+    let secondRuns = 0;
+
+    effect(() => {
+        todos.length;
+        lengthRuns++;
+    });
+    effect(() => {
+        todos[0];
+        firstRuns++;
+    });
+    effect(() => {
+        todos[1];
+        secondRuns++;
+    });
+
+    todos.push({ title: "c" });
+    expect([lengthRuns, firstRuns, secondRuns]).toEqual([2, 1, 1]);
+
+    todos.splice(1, 1);
+    expect([lengthRuns, firstRuns, secondRuns]).toEqual([3, 1, 2]);
+    expect(todos.map((t) => t.title)).toEqual(["a", "c"]);
+
+    todos.sort((x, y) => (x.title < y.title ? 1 : -1));
+    expect(todos.map((t) => t.title)).toEqual(["c", "a"]);
+    expect([lengthRuns, firstRuns, secondRuns]).toEqual([3, 2, 3]);
+});
+
+test("Store: iteration tracks added and deleted keys", () => {
+    const state = reactive({ a: 1 });
+    const keys = [];
+
+    effect(() => keys.push(Object.keys(state).join(",")));
+
+    state.b = 2;
+    delete state.a;
+    state.b = 3;
+
+    expect(keys).toEqual(["a", "a,b", "b"]);
+});
+
+test("Store: setter merges objects and runs produce in a batch", () => {
+    const [state, setState] = store({ count: 0, items: [1] });
+    const values = [];
+
+    effect(() => values.push(`${state.count}:${state.items.length}`));
+
+    setState({ count: 1 });
+    setState(
+        produce((s) => {
+            s.count++;
+            s.items.push(2);
+        })
+    );
+
+    expect(values).toEqual(["0:1", "1:1", "2:2"]);
+});
+
+test("Store: reconcile keeps unchanged items", () => {
+    const [state, setState] = store({
+        todos: [
+            { id: 1, title: "a", done: false },
+            { id: 2, title: "b", done: false },
+        ],
+    });
+    const first = state.todos[0];
+    const titles = [];
+    const done = [];
+
+    effect(() => titles.push(state.todos[0].title));
+    effect(() => done.push(state.todos[1]?.done));
+
+    setState(
+        reconcile({
+            todos: [
+                { id: 1, title: "a", done: false },
+                { id: 2, title: "b", done: true },
+            ],
+        })
+    );
+
+    expect(state.todos[0]).toBe(first);
+    expect(titles).toEqual(["a"]);
+    expect(done).toEqual([false, true]);
+
+    setState(reconcile({ todos: [{ id: 2, title: "b", done: true }] }));
+    expect(state.todos.length).toBe(1);
+    expect(titles).toEqual(["a", "b"]);
+    expect(done).toEqual([false, true, undefined]);
+});
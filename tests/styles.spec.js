@@ -0,0 +1,71 @@
+// @ts-check
+import "./dom-mock.js";
+
+import { test, expect } from "@playwright/test";
+import {
+    css,
+    normalizeStyles,
+    applyStyles,
+} from "../src/utils/styles.js";
+
+test("Styles: css composes nested styles and values", () => {
+    const color = css`color: red;`;
+    const button = css`button { ${color} margin: ${4}px; }`;
+
+    expect(button._isCss).toBe(true);
+    expect(button.cssText).toBe("button { color: red; margin: 4px; }");
+});
+
+test("Styles: normalized styles are flat and strings are shared", () => {
+    const a = css`a {}`;
+    const styles = normalizeStyles([a, [null, "b {}"]]);
+
+    expect(styles[0]).toBe(a);
+    expect(styles[1].cssText).toBe("b {}");
+    expect(normalizeStyles("b {}")[0]).toBe(styles[1]);
+    expect(normalizeStyles(undefined)).toEqual([]);
+});
+
+test("Styles: instances adopt the same sheet", () => {
+    const g = /** @type {any} */ (globalThis);
+    const saved = [g.CSSStyleSheet, g.ShadowRoot];
+    g.CSSStyleSheet = class {
+        replaceSync(text) {
+            this.text = text;
+        }
+    };
+    g.ShadowRoot = class {
+        sheets = [];
+        get adoptedStyleSheets() {
+            return this.sheets;
+        }
+        set adoptedStyleSheets(sheets) {
+            this.sheets = sheets;
+        }
+    };
+    try {
+        const styles = normalizeStyles(css`:host { display: block; }`);
+        const first = new g.ShadowRoot();
+        const second = new g.ShadowRoot();
+        applyStyles(first, styles);
+        applyStyles(second, styles);
+
+        expect(first.adoptedStyleSheets[0].text).toBe(
+            ":host { display: block; }"
+        );
+        expect(second.adoptedStyleSheets[0]).toBe(first.adoptedStyleSheets[0]);
+    } finally {
+        [g.CSSStyleSheet, g.ShadowRoot] = saved;
+    }
+});
+
+test("Styles: style elements without constructable stylesheets", () => {
+    const children = [];
+    const root = /** @type {any} */ ({ appendChild: (n) => children.push(n) });
+    applyStyles(root, normalizeStyles([css`a {}`, "b {}"]));
+
+    expect(children.map((node) => node.textContent)).toEqual([
+        "a {}",
+        "b {}",
+    ]);
+});
@@ -4,6 +4,13 @@ import "./dom-mock.js";
 
 import { test, expect } from "@playwright/test";
 import { html } from "../src/template/render.js";
+import { each, when, show, match } from "../src/template/flow.js";
+import {
+    signal,
+    effect,
+    createRoot,
+    onCleanup,
+} from "../src/hooks/reactivity.js";
 
 test.describe("Template Basic Functionality", () => {
     test("html function creates template object", () => {
@@ -54,12 +61,186 @@ test.describe("Template Key Handling", () => {
         expect(template.values[0]).toBe("Hello");
     });
 
+    test("partial attribute values keep their order", () => {
+        const variant = "primary";
+        const id = 7;
+        const template = html`<a class="btn ${variant}" href="/users/${id}/edit"
+            >${"Edit"}</a
+        >`;
+        expect(template._key).toBeUndefined();
+        expect(template.values).toEqual(["primary", 7, "Edit"]);
+    });
+
+    test("prefixed bindings keep their case", () => {
+        const template = html`<x-list
+            key=${1}
+            .selectedItem=${{}}
+            ?hidden=${false}
+            @itemSelected=${() => {}}
+            title=${"x"}
+        ></x-list>`;
+        expect(template._key).toBe(1);
+        expect(template.names).toEqual([
+            ".selectedItem",
+            "?hidden",
+            "@itemSelected",
+            undefined,
+        ]);
+    });
+
     test("no key attribute", () => {
         const template = html`<div>No key here</div>`;
         expect(template._key).toBeUndefined();
     });
 });
 
+test.describe("Template Markers", () => {
+    test("child values are marked with comments, no wrapper elements", () => {
+        const rows = () => [];
+        const template = html`<table>
+            ${rows}
+        </table>`;
+        expect(template.template.innerHTML).toBe(
+            "<table>\n            <!--\uFEFF-->\n        </table>"
+        );
+    });
+
+    test("attribute and raw text values keep bare markers", () => {
+        const template = html`<p class="a ${"b"}" title=${"t"}>${"x"}</p>
+            <textarea>${"v"}</textarea>`;
+        expect(template.template.innerHTML).toBe(
+            '<p class="a \uFEFF" title=\uFEFF><!--\uFEFF--></p>\n' +
+                "            <textarea>\uFEFF</textarea>"
+        );
+    });
+
+    test("a > inside an attribute value does not end the tag", () => {
+        const template = html`<div title="a > b" class=${"c"}>${"x"}</div>
+            <button title="->" @click=${() => {}}>${"y"}</button>`;
+        expect(template.template.innerHTML).toBe(
+            '<div title="a > b" class=\uFEFF><!--\uFEFF--></div>\n' +
+                '            <button title="->" @click=\uFEFF><!--\uFEFF--></button>'
+        );
+        expect(template.names).toEqual([
+            undefined,
+            undefined,
+            "@click",
+            undefined,
+        ]);
+    });
+
+    test("quoted values and raw text end where their markup does", () => {
+        const template = html`<i class='a>${"b"}'>${"c"}</i>
+            <style>
+                a > b {}
+            </style>
+            ${"d"}`;
+        expect(template.template.innerHTML).toBe(
+            "<i class='a>\uFEFF'><!--\uFEFF--></i>\n" +
+                "            <style>\n                a > b {}\n" +
+                "            </style>\n            <!--\uFEFF-->"
+        );
+    });
+});
+
+test.describe("Template Lists", () => {
+    test("each describes a keyed list", () => {
+        const items = () => [{ id: 1 }];
+        const key = (item) => item.id;
+        const render = (item) => html`<li>${() => item().id}</li>`;
+        const list = each(items, key, render);
+        expect(list).toEqual({ _isEach: true, items, key, render });
+    });
+
+    test("each without key uses items as keys", () => {
+        const render = (item) => html`<li>${item}</li>`;
+        const list = each(["a", "b"], render);
+        expect(list.render).toBe(render);
+        expect(list.key("a")).toBe("a");
+    });
+});
+
+test.describe("Template Conditionals", () => {
+    test("when only re-renders when the branch changes", () => {
+        const count = signal(1);
+        const view = when(
+            () => count() > 0,
+            () => "positive",
+            () => "negative"
+        );
+        const rendered = [];
+        const dispose = createRoot((d) => {
+            effect(() => rendered.push(view()));
+            return d;
+        });
+        count(2);
+        count(3);
+        expect(rendered).toEqual(["positive"]);
+        count(-1);
+        expect(rendered).toEqual(["positive", "negative"]);
+        dispose();
+    });
+
+    test("when branches read the value through an accessor", () => {
+        const user = signal(/** @type {any} */ ({ name: "Ann" }));
+        const greetings = [];
+        const branches = [];
+        const view = when(
+            user,
+            (u) => {
+                effect(() => greetings.push(`Hi ${u().name}`));
+                return "user";
+            },
+            (u) => String(u())
+        );
+        createRoot(() => effect(() => branches.push(view())));
+
+        user({ name: "Bob" });
+        expect(greetings).toEqual(["Hi Ann", "Hi Bob"]);
+        user(null);
+        expect(greetings).toEqual(["Hi Ann", "Hi Bob"]);
+        expect(branches).toEqual(["user", "null"]);
+    });
+
+    test("when disposes the effects of the outgoing branch", () => {
+        const open = signal(true);
+        const log = [];
+        const view = when(open, () => {
+            effect(() => onCleanup(() => log.push("disposed")));
+            return "open";
+        });
+        createRoot(() => effect(() => view()));
+        expect(log).toEqual([]);
+        open(false);
+        expect(log).toEqual(["disposed"]);
+    });
+
+    test("match selects a case or the fallback", () => {
+        const status = signal("loading");
+        const view = match(
+            status,
+            { loading: "wait", error: (value) => `failed: ${value}` },
+            "done"
+        );
+        const rendered = [];
+        createRoot(() => effect(() => rendered.push(view())));
+        status("error");
+        status("ok");
+        status("other");
+        expect(rendered).toEqual(["wait", "failed: error", "done"]);
+    });
+
+    test("show describes toggled content", () => {
+        const visible = signal(false);
+        const block = show(visible, () => "content");
+        expect(block._isShow).toBe(true);
+        expect(block.condition()).toBe(false);
+        visible(1);
+        expect(block.condition()).toBe(true);
+        expect(block.content()).toBe("content");
+    });
+});
+
 // Grupo de tests de edge cases
 test.describe("Template Edge Cases", () => {
     test("empty template", () => {